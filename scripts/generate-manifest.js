@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+// Generate and validate sheet manifests from the images directory.
+//
+// Usage:
+//   npm run manifest                      Update every sheet listed in images/sheets.json
+//   npm run manifest -- sheet_one         Update specific sheets
+//   npm run manifest -- --check           Report problems without writing anything
+//   npm run manifest -- --check --strict  Also fail on warnings
+//
+// Existing manifest entries keep their order, titles and captions; pixel dimensions
+// and orientation are refreshed from the files, and new files are appended.
+// Each frame gets a thumbnail in the sheet's thumbnails/ folder (THUMBNAIL_SIZE pixels on
+// the long side), linked from the manifest. Thumbnails are made when missing or of the wrong
+// size; delete one to make it again after editing its image.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { parseJpegMetadata } from '../src/core/JpegMetadata.js';
+import {
+    MANIFEST_FILENAME,
+    SHEET_INDEX_URL,
+    THUMBNAIL_DIRECTORY,
+    titleFromFilename,
+    validateSheetIndex,
+    validateSheetManifest
+} from '../src/core/SheetManifest.js';
+import { GridLayout } from '../src/components/GridLayout.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const IMAGES_DIR = path.join(ROOT, 'images');
+const JPEG_EXTENSION = /\.jpe?g$/i;
+
+// EXIF orientations 5-8 store the image rotated by 90 degrees
+const ROTATED_ORIENTATIONS = [5, 6, 7, 8];
+
+// Long side of generated thumbnails, in pixels, and their JPEG quality
+const THUMBNAIL_SIZE = 400;
+const THUMBNAIL_QUALITY = 80;
+
+function parseArgs(argv) {
+    const options = { check: false, strict: false, sheetIds: [] };
+
+    argv.forEach(arg => {
+        if (arg === '--check') {
+            options.check = true;
+        } else if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.sheetIds.push(arg);
+        }
+    });
+
+    return options;
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new Error(`${path.relative(ROOT, file)} is not valid JSON: ${error.message}`);
+    }
+}
+
+async function getSheetIds(requested) {
+    if (requested.length > 0) return requested;
+
+    const index = await readJson(path.join(ROOT, SHEET_INDEX_URL));
+    if (!index) {
+        throw new Error(`No sheets given and ${SHEET_INDEX_URL} does not exist`);
+    }
+
+    return validateSheetIndex(index).map(sheet => sheet.id);
+}
+
+// Read pixel size and orientation for one image file
+async function readImageInfo(file) {
+    const metadata = parseJpegMetadata(await fs.readFile(file));
+
+    if (!metadata.width || !metadata.height) {
+        throw new Error('no frame header found');
+    }
+
+    const rotated = ROTATED_ORIENTATIONS.includes(metadata.orientation);
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    return {
+        width,
+        height,
+        orientation: height > width ? 'portrait' : 'landscape'
+    };
+}
+
+// Pixel size of the thumbnail of an upright width x height image
+function getThumbnailSize(width, height) {
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+// Whether the thumbnail file exists with the size expected for its frame. File times
+// aren't compared, as a git checkout doesn't keep them.
+async function isThumbnailCurrent(file, frame) {
+    let info;
+    try {
+        info = await readImageInfo(file);
+    } catch (error) {
+        return false;
+    }
+
+    const expected = getThumbnailSize(frame.width, frame.height);
+    return info.width === expected.width && info.height === expected.height;
+}
+
+// Write a small copy of an image, turned upright (EXIF orientation) and without metadata
+async function writeThumbnail(source, target) {
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await sharp(source)
+        .rotate()
+        .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: THUMBNAIL_QUALITY, mozjpeg: true })
+        .toFile(target);
+}
+
+async function processSheet(sheetId, options) {
+    const sheetDir = path.join(IMAGES_DIR, sheetId);
+    const manifestPath = path.join(sheetDir, MANIFEST_FILENAME);
+    const warnings = [];
+    const errors = [];
+
+    let diskFiles;
+    try {
+        diskFiles = (await fs.readdir(sheetDir)).filter(name => JPEG_EXTENSION.test(name));
+    } catch (error) {
+        return { warnings, errors: [`Cannot read ${path.relative(ROOT, sheetDir)}: ${error.message}`] };
+    }
+
+    // Browsers request NFC-normalized URLs, but macOS often writes NFD filenames
+    const diskByNormalized = new Map();
+    diskFiles.forEach(name => {
+        const normalized = name.normalize('NFC');
+
+        if (name !== normalized) {
+            warnings.push(`"${normalized}" is stored with NFD (decomposed) Unicode; rename it so its URL matches`);
+        }
+
+        if (diskByNormalized.has(normalized)) {
+            errors.push(`"${name}" and "${diskByNormalized.get(normalized)}" differ only in Unicode normalization`);
+        }
+        diskByNormalized.set(normalized, name);
+    });
+
+    const existing = await readJson(manifestPath);
+    const existingFrames = existing && Array.isArray(existing.frames) ? existing.frames : [];
+    const frames = [];
+    const listed = new Set();
+
+    // Keep existing entries in their curated order
+    existingFrames.forEach(entry => {
+        if (!entry || typeof entry.file !== 'string') {
+            frames.push(entry);
+            return;
+        }
+
+        const normalized = entry.file.normalize('NFC');
+        const diskName = diskByNormalized.get(normalized);
+
+        if (!diskName) {
+            warnings.push(`Manifest entry "${entry.file}" has no file on disk`);
+            frames.push(entry);
+            return;
+        }
+
+        if (diskName !== entry.file) {
+            warnings.push(`Manifest entry "${entry.file}" matches "${diskName}" only after Unicode normalization; using the on-disk name`);
+        }
+
+        listed.add(normalized);
+        frames.push({ ...entry, file: diskName });
+    });
+
+    // Append files that aren't in the manifest yet
+    const newFiles = [...diskByNormalized.keys()]
+        .filter(normalized => !listed.has(normalized))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    newFiles.forEach(normalized => {
+        const diskName = diskByNormalized.get(normalized);
+        frames.push({ file: diskName, title: titleFromFilename(normalized) });
+    });
+
+    if (newFiles.length > 0) {
+        warnings.push(`${newFiles.length} file(s) not in the manifest yet: ${newFiles.join(', ')}`);
+    }
+
+    // Refresh dimensions and orientation from the image files
+    for (const frame of frames) {
+        if (!frame || typeof frame.file !== 'string' || !diskFiles.includes(frame.file)) continue;
+
+        try {
+            const info = await readImageInfo(path.join(sheetDir, frame.file));
+            const isNew = newFiles.includes(frame.file.normalize('NFC'));
+
+            // A check writes nothing, so report stored values the files no longer match
+            if (options.check && !isNew && Object.keys(info).some(key => frame[key] !== info[key])) {
+                const stored = `${frame.width}x${frame.height} ${frame.orientation}`;
+                const actual = `${info.width}x${info.height} ${info.orientation}`;
+                warnings.push(`"${frame.file}" dimensions changed (${stored} in the manifest, ${actual} on disk); run npm run manifest`);
+            }
+
+            Object.assign(frame, info);
+        } catch (error) {
+            errors.push(`Cannot read "${frame.file}": ${error.message}`);
+        }
+    }
+
+    // Make and link thumbnails by filename; entries that name their own thumbnail keep it
+    for (const frame of frames) {
+        if (!frame || typeof frame.file !== 'string') continue;
+
+        const generated = `${THUMBNAIL_DIRECTORY}/${frame.file}`;
+
+        if (frame.thumbnail === undefined || frame.thumbnail === generated) {
+            if (!diskFiles.includes(frame.file)) continue;
+
+            const source = path.join(sheetDir, frame.file);
+            const target = path.join(sheetDir, generated);
+
+            if (!(await isThumbnailCurrent(target, frame))) {
+                if (options.check) {
+                    warnings.push(`Thumbnail "${generated}" is missing or the wrong size; run npm run manifest`);
+                    continue;
+                }
+
+                try {
+                    await writeThumbnail(source, target);
+                } catch (error) {
+                    errors.push(`Cannot make a thumbnail of "${frame.file}": ${error.message}`);
+                    continue;
+                }
+            }
+
+            frame.thumbnail = generated;
+        } else if (typeof frame.thumbnail === 'string') {
+            try {
+                await fs.access(path.join(sheetDir, frame.thumbnail));
+            } catch (error) {
+                warnings.push(`Thumbnail "${frame.thumbnail}" for "${frame.file}" has no file on disk; the full image will load instead`);
+            }
+        }
+    }
+
+    // Titles are how visitors tell frames apart
+    const titles = new Map();
+    frames.forEach(frame => {
+        if (!frame || typeof frame.title !== 'string') return;
+        titles.set(frame.title, (titles.get(frame.title) || []).concat(frame.file));
+    });
+    titles.forEach((files, title) => {
+        if (files.length > 1) {
+            warnings.push(`Title "${title}" is used by ${files.length} frames: ${files.join(', ')}`);
+        }
+    });
+
+    const manifest = {
+        ...(existing || {}),
+        id: sheetId,
+        frames
+    };
+
+    try {
+        // Without a fixed row count the grid grows to fit, so only explicit rows can overflow
+        const layout = GridLayout.fromManifest(validateSheetManifest(manifest, sheetId));
+        if (layout.imageCount < frames.length) {
+            const overflow = frames.slice(layout.imageCount).map(frame => frame.file);
+            warnings.push(`${frames.length} frames exceed the ${layout.rows}x${layout.columns} grid; these will not be shown: ${overflow.join(', ')}`);
+        }
+    } catch (error) {
+        errors.push(error.message);
+    }
+
+    if (!options.check && errors.length === 0) {
+        await fs.writeFile(manifestPath, `${JSON.stringify(manifest, null, 4)}\n`);
+    }
+
+    return { warnings, errors, frameCount: frames.length, manifestPath };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log('Usage: node scripts/generate-manifest.js [sheetId...] [--check] [--strict]');
+        return 0;
+    }
+
+    const sheetIds = await getSheetIds(options.sheetIds);
+    let failed = false;
+
+    for (const sheetId of sheetIds) {
+        const { warnings, errors, frameCount, manifestPath } = await processSheet(sheetId, options);
+
+        warnings.forEach(message => console.warn(`[${sheetId}] warning: ${message}`));
+        errors.forEach(message => console.error(`[${sheetId}] error: ${message}`));
+
+        if (errors.length > 0 || (options.strict && warnings.length > 0)) {
+            failed = true;
+        }
+
+        if (errors.length === 0) {
+            const action = options.check ? 'checked' : `wrote ${path.relative(ROOT, manifestPath)}`;
+            console.log(`[${sheetId}] ${action} (${frameCount} frames, ${warnings.length} warning(s))`);
+        }
+    }
+
+    return failed ? 1 : 0;
+}
+
+main()
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
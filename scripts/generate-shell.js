@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+// Generate the app shell list precached by the service worker (sw.js).
+//
+// Usage:
+//   npm run shell           Rewrite SHELL_VERSION and SHELL_URLS in sw.js
+//   npm run shell:check     Fail if sw.js is out of date
+//
+// The list holds index.html, the files it loads (stylesheets, scripts and import map
+// entries that are used) and every ES module reachable from its module scripts, plus
+// EXTRA_URLS. SHELL_VERSION is a hash of the list and the contents of our own files, so
+// any change to them installs a new worker that precaches the shell again.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { SHEET_INDEX_URL } from '../src/core/SheetManifest.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const INDEX_FILE = 'index.html';
+const SERVICE_WORKER_FILE = 'sw.js';
+
+// Needed offline but not found by following imports: the sheet index, the default sheet
+// background and three.module.js's own import of three.core.js (keep its version in step
+// with the import map)
+const EXTRA_URLS = [
+    SHEET_INDEX_URL,
+    'images/contact-sheet-placeholder.jpg',
+    'https://cdn.jsdelivr.net/npm/three@0.171.0/build/three.core.js'
+];
+
+const GENERATED_START = '// Generated by npm run shell; do not edit by hand';
+const GENERATED_END = '// End of generated shell list';
+
+const ATTRIBUTE_URL = /<(?:script|link)\b[^>]*\b(?:src|href)="([^"]+)"/g;
+const MODULE_SCRIPT = /<script\b[^>]*\btype="module"[^>]*\bsrc="([^"]+)"/g;
+const IMPORT_MAP = /<script\b[^>]*\btype="importmap"[^>]*>([\s\S]*?)<\/script>/;
+const IMPORT_SPECIFIER = /\b(?:import|export)\s+(?:[^'"]*?\bfrom\s*)?['"]([^'"]+)['"]|\bimport\(\s*['"]([^'"]+)['"]\s*\)/g;
+
+function isRemote(url) {
+    return /^https?:\/\//.test(url);
+}
+
+function matchAll(text, pattern) {
+    return [...text.matchAll(pattern)].map(match => match[1] || match[2]);
+}
+
+// Follow static and dynamic imports from the entry modules. Relative imports are our own
+// files; bare ones (e.g. "three") are resolved through the import map.
+async function collectModules(entries, importMap) {
+    const local = new Set();
+    const remote = new Set();
+    const queue = [...entries];
+
+    while (queue.length > 0) {
+        const file = queue.shift();
+        if (local.has(file)) continue;
+        local.add(file);
+
+        const source = await fs.readFile(path.join(ROOT, file), 'utf8');
+
+        matchAll(source, IMPORT_SPECIFIER).forEach(specifier => {
+            if (specifier.startsWith('.')) {
+                queue.push(path.posix.normalize(path.posix.join(path.posix.dirname(file), specifier)));
+            } else if (importMap[specifier]) {
+                remote.add(importMap[specifier]);
+            } else {
+                throw new Error(`${file} imports "${specifier}", which the import map in ${INDEX_FILE} doesn't map`);
+            }
+        });
+    }
+
+    return { local: [...local], remote: [...remote] };
+}
+
+async function buildShell() {
+    const html = await fs.readFile(path.join(ROOT, INDEX_FILE), 'utf8');
+
+    const importMapSource = html.match(IMPORT_MAP);
+    const importMap = importMapSource ? JSON.parse(importMapSource[1]).imports || {} : {};
+
+    const entries = matchAll(html, MODULE_SCRIPT);
+    const modules = await collectModules(entries, importMap);
+    const pageFiles = matchAll(html, ATTRIBUTE_URL).filter(url => !entries.includes(url));
+
+    const localFiles = [
+        INDEX_FILE,
+        ...pageFiles.filter(url => !isRemote(url)),
+        ...modules.local,
+        ...EXTRA_URLS.filter(url => !isRemote(url))
+    ];
+    const remoteUrls = [
+        ...pageFiles.filter(isRemote),
+        ...modules.remote,
+        ...EXTRA_URLS.filter(isRemote)
+    ];
+
+    const urls = ['./', ...new Set(localFiles), ...new Set(remoteUrls)];
+
+    const hash = createHash('sha256');
+    hash.update(JSON.stringify(urls));
+    for (const file of new Set(localFiles)) {
+        hash.update(await fs.readFile(path.join(ROOT, file)));
+    }
+
+    return { version: hash.digest('hex').slice(0, 12), urls };
+}
+
+function formatShell({ version, urls }) {
+    return [
+        GENERATED_START,
+        `const SHELL_VERSION = '${version}';`,
+        'const SHELL_URLS = [',
+        urls.map(url => `    '${url}'`).join(',\n'),
+        '];',
+        GENERATED_END
+    ].join('\n');
+}
+
+async function main() {
+    const check = process.argv.includes('--check');
+    const workerPath = path.join(ROOT, SERVICE_WORKER_FILE);
+    const worker = await fs.readFile(workerPath, 'utf8');
+
+    const start = worker.indexOf(GENERATED_START);
+    const end = worker.indexOf(GENERATED_END);
+    if (start === -1 || end === -1) {
+        throw new Error(`${SERVICE_WORKER_FILE} has no generated shell list`);
+    }
+
+    const shell = await buildShell();
+    const updated = worker.slice(0, start) + formatShell(shell) + worker.slice(end + GENERATED_END.length);
+
+    if (updated === worker) {
+        console.log(`${SERVICE_WORKER_FILE} is up to date (${shell.urls.length} files, version ${shell.version})`);
+        return 0;
+    }
+
+    if (check) {
+        console.error(`${SERVICE_WORKER_FILE} is out of date; run npm run shell`);
+        return 1;
+    }
+
+    await fs.writeFile(workerPath, updated);
+    console.log(`wrote ${SERVICE_WORKER_FILE} (${shell.urls.length} files, version ${shell.version})`);
+    return 0;
+}
+
+main()
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
@@ -5,12 +5,30 @@ import { ImageLoader } from './ImageLoader.js';
 import { SheetAnimation } from './SheetAnimation.js';
 import { ResourceManager, clearExistingImageMeshes } from './ResourceManagement.js';
 import { GestureManager } from './GestureManager.js';
+import { KeyboardManager, SLIDESHOW_KEYS } from './KeyboardManager.js';
+import { SheetAccessibility } from './SheetAccessibility.js';
+import { SheetLoupe, LOUPE } from './SheetLoupe.js';
+import { SheetMarkupLayer } from './SheetMarkupLayer.js';
+import { MarkupToolbar } from './MarkupToolbar.js';
+import { FrameBadges } from './FrameBadges.js';
+import { RatingFilter } from './RatingFilter.js';
+import { SlideshowControls } from './SlideshowControls.js';
+import { FrameTextureManager, LOD } from './FrameTextureManager.js';
+import { SheetFrames, FRAME_FADE_DURATION } from './SheetFrames.js';
+import { FilmLook, FILM, createPaperMaterial, getMaterialMap } from './FilmMaterial.js';
 import { 
     DOUBLE_TAP_THRESHOLD, 
     SWIPE_VELOCITY_THRESHOLD, 
     SWIPE_DISTANCE_THRESHOLD, 
     DRAG_THRESHOLD, 
     ANIMATION_DURATIONS,
+    WHEEL_ZOOM_SENSITIVITY,
+    PINCH_ZOOM_SENSITIVITY,
+    ZOOM_SNAP_THRESHOLD,
+    FREE_PAN,
+    PINCH_ZOOM,
+    normalizeWheelDelta,
+    applyRubberBand,
     isOverImage,
     calculateBounds,
     findNearestImage,
@@ -22,9 +40,35 @@ import {
     removeEventListeners as removeEventListenersUtil
 } from './SheetUtils.js';
 import { DetailView } from './DetailView.js';
+import { prefersReducedMotion } from '../core/MotionPreference.js';
+import { SheetMarkup } from '../core/SheetMarkup.js';
+import { getManifestUrl } from '../core/SheetManifest.js';
+import { FrameRatings, getRatingKeyAction, describeRating } from '../core/FrameRatings.js';
+import { Slideshow } from '../core/Slideshow.js';
+import { TEXTURE_BUDGET } from '../core/TextureCache.js';
+import { AssetLoader } from '../core/AssetLoader.js';
+import { RetryQueue } from '../core/RetryQueue.js';
+
+const DEFAULT_BACKGROUND_URL = 'images/contact-sheet-placeholder.jpg';
+
+// Width of the keyboard focus ring around a frame, in sheet pixels
+const FOCUS_RING_WIDTH = 24;
+
+// Keys that don't interrupt a playing slideshow on their own
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta'];
+
+// Placeholder labels for a frame that failed to load: while it is being retried, and
+// once its automatic retries are used up
+const FAILED_FRAME_LABELS = {
+    RETRYING: 'Retrying…',
+    GIVEN_UP: 'Tap to retry'
+};
+
+// Quiet period before failed images are announced, so a burst is announced once
+const FAILURE_ANNOUNCEMENT_DELAY = 1000;
 
 export class ContactSheet {
-    constructor(scene, camera, sheetId = 'sheet_one', gradientBackground = null) {
+    constructor(scene, camera, sheetId = 'sheet_one', gradientBackground = null, callbacks = {}) {
         this.scene = scene;
         this.camera = camera;
         this.layout = new GridLayout();
@@ -32,12 +76,17 @@ export class ContactSheet {
         this.sheetId = sheetId;
         this.gradientBackground = gradientBackground;
         
+        // onViewChange(view, { transient }) is called whenever the sheet settles on a new view,
+        // transient for slideshow steps that replace each other rather than pile up in history;
+        // onLoadProgress({ stage, loaded, total }) while the sheet loads (see reportLoadProgress)
+        this.callbacks = callbacks;
+        
+        // View requested through showView(), applied step by step as animations finish
+        this.pendingView = null;
+        
         // Initialize ResourceManager
         this.resourceManager = new ResourceManager();
         
-        // Create a reusable texture loader
-        this.textureLoader = new THREE.TextureLoader();
-        
         // Calculate and store current frustum settings - this will be recalculated on resize
         const aspect = window.innerWidth / window.innerHeight;
         const frustumSize = aspect > 1 ? 4 : 4 / aspect;
@@ -57,6 +106,15 @@ export class ContactSheet {
         this.pointer = new THREE.Vector2();
         this.currentImage = { row: 0, col: 0 };
         
+        // Real footprint of each frame in sheet pixels, by [row][col]
+        this.frameBounds = [];
+        
+        // Keyboard state: the frame the focus ring marks while zoomed out, whether the ring
+        // is showing (only after keyboard use), and a key press waiting for an animation to end
+        this.focusedImage = { row: 0, col: 0 };
+        this.isKeyboardFocusVisible = false;
+        this.queuedKeyAction = null;
+        
         // Touch state
         this.isDragging = false;
         this.startX = 0;
@@ -69,13 +127,93 @@ export class ContactSheet {
         this.swipeDirection = null;
         this.hasMovedBeyondThreshold = false;
         
+        // Free pan state: the unconstrained camera position (shown with rubber-band
+        // resistance past the edges) and the momentum/settle tween after release
+        this.isFreePanning = false;
+        this.freePanPosition = null;
+        this.panInertia = null;
+        this.panOptions = {
+            // Pan freely instead of swiping between frames when zoomed in
+            freePanWhenZoomed: false,
+            // Centre the nearest frame when a free pan of the zoomed-out sheet settles
+            snapToFrame: false
+        };
+        
+        // Live pinch: the frustum size and sheet point between the fingers when it began
+        this.isPinching = false;
+        this.pinch = null;
+        
+        // Desktop loupe (SheetLoupe), created in init where a mouse is available
+        this.loupe = null;
+        
+        // Grease-pencil markup: the marks (SheetMarkup), their overlay and the controls.
+        // In markup mode pointer input draws instead of panning and tapping.
+        this.markup = null;
+        this.markupLayer = null;
+        this.markupToolbar = null;
+        this.isMarkupMode = false;
+        this.markupTool = 'pen';
+        this.areMarksVisible = true;
+        
+        // Star ratings and color labels (FrameRatings), their badges and the rating filter.
+        // Frames rated below minRating are dimmed and skipped by navigation.
+        this.ratings = null;
+        this.badges = null;
+        this.ratingFilter = null;
+        this.minRating = 0;
+        
+        // Slideshow (timing and position) and its controls. Any other input pauses it;
+        // a hidden tab or a detail view it didn't open holds it until they're gone.
+        this.slideshow = null;
+        this.slideshowControls = null;
+        this.slideshowOptions = {
+            // 'reading' goes row by row; 'curated' follows the manifest's "slideshow" list
+            order: 'reading',
+            // Open each frame in the detail view
+            inDetail: false
+        };
+        
+        // The frames' instanced meshes and atlas (SheetFrames) and their full-resolution
+        // textures (FrameTextureManager), created once the manifest is loaded
+        this.sheetFrames = null;
+        this.frameTextures = null;
+        
+        // How the frames and paper are drawn (film or plain), see setFrameLook
+        this.filmLook = new FilmLook();
+        this.stopFollowingLook = null;
+        
+        // Frames that failed to load, retried with backoff (RetryQueue), each frame's image
+        // sources by "row,col", and failed URLs waiting to be announced
+        this.frameRetries = null;
+        this.frameSources = new Map();
+        this.failedUrls = new Set();
+        this.failureAnnouncementTimer = null;
+        
         // Event listeners to be cleaned up
         this.eventListeners = [];
         
         // Initialize helper classes
-        this.imageLoader = new ImageLoader();
+        // Everything the sheet loads goes through one AssetLoader, which reports progress.
+        // Textures beyond the memory budget are evicted; frames load theirs again on demand.
+        this.assetLoader = new AssetLoader({
+            onProgress: (progress) => {
+                this.loadProgress = progress;
+                this.reportLoadProgress();
+            },
+            onTextureEvicted: (url) => {
+                if (this.frameTextures) this.frameTextures.handleEvicted(url);
+            }
+        }, isMobile() ? TEXTURE_BUDGET.MOBILE : TEXTURE_BUDGET.DESKTOP);
+        this.imageLoader = new ImageLoader(this.assetLoader);
+        
+        // Loading stage reported to onLoadProgress, null once the sheet has loaded
+        this.loadStage = 'sheet';
+        this.loadProgress = { loaded: 0, total: 0 };
         this.animation = new SheetAnimation(camera, gradientBackground);
-        this.detailView = new DetailView();
+        this.detailView = new DetailView({
+            onRate: (rating) => this.rateCurrentImage({ rating }),
+            onLabel: (label) => this.rateCurrentImage({ label })
+        });
         
         // Sheet Z position constant
         this.SHEET_Z_POSITION = -2.5;
@@ -84,39 +222,132 @@ export class ContactSheet {
         this.activeTouchCount = 0;
         this.lastTouchStartTime = 0;
         this.multiTouchActive = false;  // Explicit flag for multi-touch state
+        
+        // Set once the sheet has been torn down (e.g. when switching sheets)
+        this.isDisposed = false;
+        
+        // Set once images and gestures are ready, or once that has failed
+        this.isInitialized = false;
+        this.hasFailed = false;
     }
     
     // Main initialization method
     async init() {
+        // The manifest, background and frames are one batch of progress
+        const batchKey = `sheet:${this.sheetId}`;
+        this.assetLoader.holdBatch(batchKey);
+        this.reportLoadProgress();
+        
         try {
+            // Load the manifest first so a broken sheet fails before anything is drawn
+            this.manifest = await this.imageLoader.getSheetManifest(this.sheetId);
+            if (this.isDisposed) return;
+            
+            // Rows, columns, frame size and margins come from the manifest
+            this.layout = GridLayout.fromManifest(this.manifest);
+            
             await this.setupSheet();
+            if (this.isDisposed) return;
+            
+            // The sheet is drawn; the frames fade in on it as they arrive
+            this.setLoadStage('frames');
+            
+            this.setupFrameRetries();
             await this.createImagesFromSheet();
+            if (this.isDisposed) return;
+            
+            this.assetLoader.releaseBatch(batchKey);
+            this.setLoadStage('done');
+            
             this.resetImageBrightness();
             this.setupGestureManager();
+            this.setupKeyboardNavigation();
+            this.setupAccessibility();
+            this.setupWheelZoom();
+            this.setupLoupe();
+            this.setupMarkup();
+            this.setupRatings();
+            this.setupSlideshow();
             this.setupResizeHandling();
+            
+            this.isInitialized = true;
+            this.handleViewSettled();
         } catch (error) {
             // Failed to initialize contact sheet
+            this.hasFailed = true;
+            this.assetLoader.releaseBatch(batchKey);
+            this.setLoadStage('failed');
+            this.cancelPendingView();
             throw error;
         }
     }
     
+    setLoadStage(stage) {
+        this.loadStage = stage;
+        this.reportLoadProgress();
+    }
+    
+    // Tell callbacks.onLoadProgress how loading is going: stage is 'sheet' (manifest and
+    // background), 'frames', then 'done' or 'failed'; loaded and total count assets.
+    // Later loads, such as full-resolution frames, aren't reported.
+    reportLoadProgress() {
+        if (!this.loadStage || this.isDisposed || !this.callbacks.onLoadProgress) return;
+        
+        this.callbacks.onLoadProgress({ stage: this.loadStage, ...this.loadProgress });
+        
+        if (this.loadStage === 'done' || this.loadStage === 'failed') {
+            this.loadStage = null;
+        }
+    }
+    
+    // Sheets with a custom layout can bring a background drawn to match it
+    getBackgroundUrl() {
+        const background = this.manifest && this.manifest.background;
+        return background ? `images/${this.sheetId}/${background}` : DEFAULT_BACKGROUND_URL;
+    }
+    
+    // Every file the sheet needs, including the full-resolution frames the detail view
+    // shows, e.g. for the service worker to precache
+    getAssetUrls() {
+        const urls = [getManifestUrl(this.sheetId), this.getBackgroundUrl()];
+        
+        this.manifest.frames.forEach(frame => {
+            urls.push(`images/${this.sheetId}/${frame.file}`);
+            if (frame.thumbnail) {
+                urls.push(`images/${this.sheetId}/${frame.thumbnail}`);
+            }
+        });
+        
+        return urls;
+    }
+    
     async setupSheet() {
         try {
-            const sheetTexture = await this.imageLoader.loadTextureWithProperEncoding('images/contact-sheet-placeholder.jpg');
+            const sheetTexture = await this.imageLoader.loadTextureWithProperEncoding(this.getBackgroundUrl());
+            
+            // The sheet may have been switched away while the texture was loading
+            if (this.isDisposed) return;
             
             const dimensions = this.layout.getSheetDimensions();
             const geometry = new THREE.PlaneGeometry(dimensions.width, dimensions.height);
             
-            const material = new THREE.MeshBasicMaterial({
-                map: sheetTexture,
-                side: THREE.FrontSide
-            });
+            const material = createPaperMaterial(sheetTexture, this.filmLook);
+            
+            // The sheet is always on screen, so its texture is never evicted
+            this.imageLoader.pinTexture(this.getBackgroundUrl());
             
             this.sheet = new THREE.Mesh(geometry, material);
             this.sheet.position.z = -2.5;
             this.SHEET_Z_POSITION = -2.5;
             this.scene.add(this.sheet);
             
+            // Swap the paper material when the look changes
+            this.stopFollowingLook = this.filmLook.onChange(() => {
+                const previous = this.sheet.material;
+                this.sheet.material = createPaperMaterial(getMaterialMap(previous), this.filmLook);
+                previous.dispose();
+            });
+            
         } catch (error) {
             // Failed to setup contact sheet
             throw error;
@@ -225,8 +456,7 @@ export class ContactSheet {
             onSwipe: this.handleSwipe.bind(this),
             onTap: this.handleTap.bind(this),
             onPinchStart: this.handlePinchStart.bind(this),
-            onPinchIn: this.handlePinchIn.bind(this),
-            onPinchOut: this.handlePinchOut.bind(this),
+            onPinchMove: this.handlePinchMove.bind(this),
             onPinchEnd: this.handlePinchEnd.bind(this)
         });
         
@@ -234,11 +464,685 @@ export class ContactSheet {
         this.setupCursorStyles(canvas);
     }
     
+    setupKeyboardNavigation() {
+        this.keyboardManager = new KeyboardManager(window, {
+            onMove: (step, event) => this.handleKeyAction(event, () => this.moveFocus(step)),
+            onActivate: (event) => this.handleKeyAction(event, () => this.activateFocusedImage()),
+            // Escape and minus close the detail view, and only then zoom out
+            onBack: (event) => {
+                if (this.detailView.isVisible) {
+                    this.detailView.hide();
+                    return;
+                }
+                this.handleKeyAction(event, () => {
+                    if (this.state === SheetState.ZOOMED_IN) this.zoomOut();
+                });
+            },
+            onFirst: (event) => this.handleKeyAction(event, () => this.jumpToImage(this.getEndImage(1))),
+            onLast: (event) => this.handleKeyAction(event, () => this.jumpToImage(this.getEndImage(-1))),
+            // Not queued: the loupe and markup mode can be toggled mid-animation
+            onToggleLoupe: () => {
+                if (!this.detailView.isVisible) this.toggleLoupe();
+            },
+            onToggleMarkup: () => {
+                if (!this.detailView.isVisible) this.setMarkupMode(!this.isMarkupMode);
+            },
+            onToggleSlideshow: () => this.toggleSlideshow(),
+            // The detail view handles its own number keys
+            onRatingKey: (key) => {
+                const action = getRatingKeyAction(key);
+                if (action && this.state === SheetState.ZOOMED_IN && !this.detailView.isVisible) {
+                    this.rateCurrentImage(action);
+                }
+            }
+        });
+        
+        // Pointer input hides the focus ring again, like :focus-visible
+        const canvas = document.querySelector('canvas');
+        if (canvas) {
+            addEventListenerUtil(canvas, 'pointerdown', () => this.setKeyboardFocusVisible(false), this.eventListeners);
+        }
+    }
+    
+    // Mirror the frames as hidden, focusable DOM buttons for screen readers
+    setupAccessibility() {
+        this.accessibility = new SheetAccessibility(document.body, {
+            onSelect: (image) => this.selectImage(image),
+            onFocus: (image, isFocusVisible) => {
+                if (this.state !== SheetState.IDLE) return;
+                
+                this.focusedImage = image;
+                this.isKeyboardFocusVisible = isFocusVisible;
+                this.updateFocusRing();
+            }
+        });
+        
+        const title = (this.manifest && this.manifest.title) || this.sheetId;
+        this.accessibility.build(this.layout, this.imageMapping, `${title} contact sheet`);
+    }
+    
+    // Activate a frame from its mirror button: zoom in, move to it, or open its detail view
+    selectImage(image) {
+        if (this.state === SheetState.ANIMATING || this.detailView.isVisible) return;
+        
+        if (this.state === SheetState.IDLE) {
+            this.zoomToImage(this.layout.getImagePosition(image.row, image.col), image.row, image.col);
+        } else if (image.row === this.currentImage.row && image.col === this.currentImage.col) {
+            this.showDetailView();
+        } else {
+            this.moveToImage(image);
+        }
+    }
+    
+    // Run a keyboard action, or hold it until the running animation settles
+    handleKeyAction(event, action) {
+        // The detail view handles its own keys
+        if (this.detailView.isVisible) return;
+        
+        this.setKeyboardFocusVisible(true);
+        
+        if (this.state === SheetState.ANIMATING) {
+            // Held keys repeat faster than animations finish, so drop repeats and
+            // keep only the latest fresh press to run once the sheet settles
+            if (!event.repeat) {
+                this.queuedKeyAction = action;
+            }
+            return;
+        }
+        
+        action();
+    }
+    
+    // Arrow keys move the focus ring while zoomed out and the camera while zoomed in
+    moveFocus(step) {
+        const origin = this.state === SheetState.IDLE ? this.focusedImage : this.currentImage;
+        const target = this.getAdjacentImage(origin, step);
+        
+        if (target) {
+            this.jumpToImage(target);
+        }
+    }
+    
+    jumpToImage(target) {
+        if (!this.layout.hasImage(target.row, target.col)) return;
+        
+        if (this.state === SheetState.IDLE) {
+            this.focusedImage = target;
+            this.updateFocusRing();
+            
+            // Keep screen readers on the frame the focus ring marks
+            if (this.accessibility) {
+                this.accessibility.focusImage(target);
+            }
+        } else if (target.row !== this.currentImage.row || target.col !== this.currentImage.col) {
+            this.moveToImage(target);
+        }
+    }
+    
+    // Enter/Space zooms into the focused frame, or opens the detail view when zoomed in
+    activateFocusedImage() {
+        if (this.state === SheetState.IDLE) {
+            const { row, col } = this.focusedImage;
+            this.zoomToImage(this.layout.getImagePosition(row, col), row, col);
+        } else if (this.state === SheetState.ZOOMED_IN) {
+            this.showDetailView();
+        }
+    }
+    
+    setKeyboardFocusVisible(isVisible) {
+        if (this.isKeyboardFocusVisible === isVisible) return;
+        
+        this.isKeyboardFocusVisible = isVisible;
+        this.updateFocusRing();
+    }
+    
+    // Draw the focus ring behind the focused frame; it only shows on the zoomed-out sheet
+    updateFocusRing() {
+        if (this.isDisposed || !this.isInitialized) return;
+        
+        const isVisible = this.isKeyboardFocusVisible && this.state === SheetState.IDLE;
+        
+        if (!this.focusRing) {
+            if (!isVisible) return;
+            
+            this.focusRing = new THREE.Mesh(
+                new THREE.PlaneGeometry(1, 1),
+                new THREE.MeshBasicMaterial({ color: 0xffffff })
+            );
+            this.scene.add(this.focusRing);
+        }
+        
+        this.focusRing.visible = isVisible;
+        if (!isVisible) return;
+        
+        const { row, col } = this.focusedImage;
+        const bounds = this.getFrameBounds(row, col) || { width: this.layout.imageWidth, height: this.layout.imageHeight };
+        const position = this.layout.getImagePosition(row, col);
+        
+        this.focusRing.scale.set(
+            (bounds.width + FOCUS_RING_WIDTH * 2) * this.layout.scale,
+            (bounds.height + FOCUS_RING_WIDTH * 2) * this.layout.scale,
+            1
+        );
+        
+        // Between the sheet and the frames, so only the border shows
+        this.focusRing.position.set(position.x, position.y, this.SHEET_Z_POSITION + 0.005);
+    }
+    
+    setupWheelZoom() {
+        const canvas = document.querySelector('canvas');
+        if (!canvas) return;
+        
+        // Not passive: trackpad pinch arrives as ctrl+wheel and would otherwise zoom the page
+        this.wheelHandler = (event) => this.handleWheel(event);
+        canvas.addEventListener('wheel', this.wheelHandler, { passive: false });
+        this.eventListeners.push({ element: canvas, type: 'wheel', handler: this.wheelHandler });
+    }
+    
+    handleWheel(event) {
+        event.preventDefault();
+        
+        if (this.state === SheetState.ANIMATING || this.detailView.isVisible || this.isDragging || this.isFreePanning || this.isPinching) return;
+        
+        this.stopPanInertia();
+        
+        const delta = normalizeWheelDelta(event);
+        if (delta === 0) return;
+        
+        // With the loupe on, the wheel changes its magnification; trackpad pinch still zooms
+        if (this.loupe && this.loupe.isEnabled && !event.ctrlKey) {
+            this.loupe.magnify(Math.exp(-delta * LOUPE.WHEEL_SENSITIVITY));
+            return;
+        }
+        
+        const sensitivity = event.ctrlKey ? PINCH_ZOOM_SENSITIVITY : WHEEL_ZOOM_SENSITIVITY;
+        this.zoomAtPoint(event.clientX, event.clientY, Math.exp(delta * sensitivity));
+    }
+    
+    // Desktop loupe, toggled with L. It only draws over the canvas, so clicks still reach handleTap.
+    setupLoupe() {
+        const canvas = document.querySelector('canvas');
+        if (!canvas || !SheetLoupe.isSupported()) return;
+        
+        this.loupe = new SheetLoupe(this.scene, this.camera);
+        
+        addEventListenerUtil(canvas, 'pointermove', (event) => {
+            if (event.pointerType === 'mouse') {
+                this.loupe.setPointer(event.clientX, event.clientY);
+                
+                // The lens shows the frame under it at full resolution
+                if (this.loupe.isEnabled && this.frameTextures) {
+                    const x = this.camera.position.x + ((event.clientX / window.innerWidth) * 2 - 1) * (this.camera.right - this.camera.left) / 2;
+                    const y = this.camera.position.y - ((event.clientY / window.innerHeight) * 2 - 1) * (this.camera.top - this.camera.bottom) / 2;
+                    const image = this.findNearestImage(x, y);
+                    this.frameTextures.load(image.row, image.col);
+                }
+            }
+        }, this.eventListeners);
+        
+        addEventListenerUtil(canvas, 'pointerleave', () => {
+            this.loupe.setPointer(null);
+        }, this.eventListeners);
+    }
+    
+    toggleLoupe() {
+        if (!this.loupe) return;
+        
+        this.loupe.setEnabled(!this.loupe.isEnabled);
+        
+        if (this.accessibility) {
+            this.accessibility.announce(this.loupe.isEnabled ? 'Loupe on' : 'Loupe off');
+        }
+    }
+    
+    // Extra render passes drawn over the sheet; called from the render loop after the main render
+    renderOverlays(renderer) {
+        if (this.loupe && !this.detailView.isVisible) {
+            this.loupe.render(renderer);
+        }
+    }
+    
+    setupMarkup() {
+        const canvas = document.querySelector('canvas');
+        if (!canvas) return;
+        
+        this.markup = new SheetMarkup(this.sheetId, {
+            onChange: (marks) => {
+                this.markupLayer.setMarks(marks);
+                this.updateMarkupToolbar();
+            }
+        });
+        
+        // Just above the frames and the focus ring
+        this.markupLayer = new SheetMarkupLayer(this.scene, this.camera, canvas, this.layout, this.SHEET_Z_POSITION + 0.02, {
+            onDraw: (mark) => {
+                this.setMarksVisible(true);
+                this.markup.add(mark);
+            }
+        });
+        this.markupLayer.setMarks(this.markup.marks);
+        
+        this.markupToolbar = new MarkupToolbar(document.body, {
+            onToggle: () => this.setMarkupMode(!this.isMarkupMode),
+            onTool: (tool) => {
+                this.markupTool = tool;
+                this.markupLayer.setTool(tool);
+                this.updateMarkupToolbar();
+            },
+            onUndo: () => this.markup.undo(),
+            onRedo: () => this.markup.redo(),
+            onToggleVisible: () => this.setMarksVisible(!this.areMarksVisible),
+            onExport: () => this.exportMarkup(),
+            onImport: (text) => this.importMarkup(text),
+            onClear: () => this.markup.clear()
+        });
+        this.updateMarkupToolbar();
+        
+        // Undo/redo shortcuts while marking up; KeyboardManager leaves modified keys alone
+        addEventListenerUtil(window, 'keydown', (event) => {
+            if (!this.isMarkupMode || !(event.ctrlKey || event.metaKey) || event.altKey) return;
+            
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.markup.undo();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault();
+                this.markup.redo();
+            }
+        }, this.eventListeners);
+    }
+    
+    setMarkupMode(isActive) {
+        if (!this.markupLayer) return;
+        
+        this.isMarkupMode = isActive;
+        this.markupLayer.setDrawingEnabled(isActive);
+        this.stopPanInertia();
+        
+        const canvas = document.querySelector('canvas');
+        if (canvas) {
+            canvas.style.cursor = isActive ? 'crosshair' : 'default';
+        }
+        
+        if (this.accessibility) {
+            this.accessibility.announce(isActive ? 'Markup mode on' : 'Markup mode off');
+        }
+        
+        this.updateMarkupToolbar();
+    }
+    
+    setMarksVisible(isVisible) {
+        this.areMarksVisible = isVisible;
+        this.markupLayer.setVisible(isVisible);
+        this.updateMarkupToolbar();
+    }
+    
+    updateMarkupToolbar() {
+        if (!this.markupToolbar) return;
+        
+        this.markupToolbar.update({
+            isActive: this.isMarkupMode,
+            tool: this.markupTool,
+            canUndo: this.markup.canUndo(),
+            canRedo: this.markup.canRedo(),
+            isVisible: this.areMarksVisible,
+            hasMarks: this.markup.marks.length > 0
+        });
+    }
+    
+    // Download the marks as <sheetId>-markup.json
+    exportMarkup() {
+        const blob = new Blob([this.markup.toJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.sheetId}-markup.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    importMarkup(text) {
+        try {
+            this.markup.import(text);
+            this.setMarksVisible(true);
+            this.markupToolbar.showMessage('Markup imported');
+        } catch (error) {
+            console.error('Error importing markup:', error);
+            this.markupToolbar.showMessage(error.message);
+        }
+    }
+    
+    setupRatings() {
+        this.ratings = new FrameRatings(this.sheetId, {
+            onChange: (file, entry) => this.handleRatingChange(file, entry)
+        });
+        
+        // Between the frames and the markup layer
+        this.badges = new FrameBadges(this.scene, this.layout, this.SHEET_Z_POSITION + 0.015);
+        this.imageMapping.forEach((frames, row) => {
+            frames.forEach((frame, col) => this.badges.update(row, col, this.ratings.get(frame.file)));
+        });
+        
+        this.ratingFilter = new RatingFilter(document.body, {
+            onChange: (minRating) => this.setRatingFilter(minRating)
+        });
+    }
+    
+    // Rate the frame being viewed: { rating } sets its stars, { label } toggles a color label
+    rateCurrentImage(action) {
+        if (!this.ratings || !this.currentImage) return;
+        
+        const frame = this.imageMapping[this.currentImage.row][this.currentImage.col];
+        
+        if (action.label) {
+            this.ratings.toggleLabel(frame.file, action.label);
+        } else {
+            this.ratings.setRating(frame.file, action.rating);
+        }
+        
+        if (this.accessibility) {
+            this.accessibility.announce(describeRating(this.ratings.get(frame.file)));
+        }
+    }
+    
+    handleRatingChange(file, entry) {
+        const image = this.findImageByFile(file);
+        
+        if (image) {
+            this.badges.update(image.row, image.col, entry);
+            
+            const isShown = this.detailView.isVisible &&
+                this.currentImage.row === image.row && this.currentImage.col === image.col;
+            if (isShown) {
+                this.detailView.setRating(entry);
+            }
+        }
+        
+        // A new rating can move a frame across the filter
+        if (this.minRating > 0 && this.state === SheetState.IDLE) {
+            this.resetImageBrightness();
+        }
+    }
+    
+    // Whether the rating filter hides a frame
+    isFilteredOut(row, col) {
+        if (!this.ratings || this.minRating === 0) return false;
+        
+        const frame = this.imageMapping[row] && this.imageMapping[row][col];
+        return Boolean(frame) && this.ratings.get(frame.file).rating < this.minRating;
+    }
+    
+    // Dim and skip frames rated below minRating (0 shows every frame)
+    setRatingFilter(minRating) {
+        this.minRating = minRating;
+        
+        if (this.ratingFilter) {
+            this.ratingFilter.setValue(minRating);
+        }
+        
+        // Zoomed in, everything but the current frame is dimmed already
+        if (this.state === SheetState.IDLE) {
+            this.resetImageBrightness();
+        }
+        
+        if (this.accessibility) {
+            let shown = 0;
+            for (let i = 0; i < this.layout.imageCount; i++) {
+                if (!this.isFilteredOut(Math.floor(i / this.layout.columns), i % this.layout.columns)) shown++;
+            }
+            this.accessibility.announce(`${shown} of ${this.layout.imageCount} frames shown`);
+        }
+    }
+    
+    // The { row, col } showing a manifest frame, or null if it isn't on the grid
+    findImageByFile(file) {
+        for (let row = 0; row < this.imageMapping.length; row++) {
+            const col = this.imageMapping[row].findIndex(frame => frame.file === file);
+            if (col >= 0) return { row, col };
+        }
+        
+        return null;
+    }
+    
+    setupSlideshow() {
+        this.slideshow = new Slideshow({
+            onStep: (image) => this.showSlide(image),
+            onChange: () => this.updateSlideshowControls(),
+            canShow: (image) => !this.isFilteredOut(image.row, image.col)
+        });
+        this.slideshow.setSequence(this.getSlideshowSequence());
+        
+        this.slideshowControls = new SlideshowControls(document.body, {
+            onPrev: () => this.slideshow.prev(),
+            onNext: () => this.slideshow.next(),
+            onTogglePlay: () => this.toggleSlideshow(),
+            onSpeed: (interval) => this.setSlideshowOptions({ interval }),
+            onOrder: (order) => this.setSlideshowOptions({ order }),
+            onToggleDetail: () => this.setSlideshowOptions({ inDetail: !this.slideshowOptions.inDetail })
+        });
+        this.updateSlideshowControls();
+        
+        // Any other input hands control back to the user
+        const inputHandler = (event) => {
+            if (!this.slideshow.isPlaying || this.slideshowControls.contains(event.target)) return;
+            if (event.type === 'keydown' && (SLIDESHOW_KEYS.includes(event.key) || MODIFIER_KEYS.includes(event.key))) return;
+            
+            this.slideshow.pause();
+        };
+        ['pointerdown', 'keydown', 'wheel'].forEach(type => this.addEventListener(window, type, inputHandler));
+        
+        this.addEventListener(document, 'visibilitychange', () => {
+            this.slideshow.setHeld('hidden', document.hidden);
+        });
+    }
+    
+    // Frames in the chosen order; curated order falls back to reading order
+    // when the manifest has no "slideshow" list
+    getSlideshowSequence() {
+        if (this.slideshowOptions.order === 'curated' && this.manifest.slideshow) {
+            return this.manifest.slideshow
+                .map(file => this.findImageByFile(file))
+                .filter(Boolean);
+        }
+        
+        const sequence = [];
+        this.imageMapping.forEach((frames, row) => {
+            frames.forEach((frame, col) => sequence.push({ row, col }));
+        });
+        return sequence;
+    }
+    
+    // Zooms in on the first frame, then moves between frames; the view steps queue
+    // behind any running animation. Only leaving the whole sheet is worth a history entry.
+    showSlide(image) {
+        this.showView(
+            { sheetId: this.sheetId, image, detail: this.slideshowOptions.inDetail },
+            { transient: this.state !== SheetState.IDLE }
+        );
+    }
+    
+    // Play from the frame being viewed (or focused, zoomed out), or pause
+    toggleSlideshow() {
+        if (!this.slideshow) return;
+        
+        if (this.slideshow.isPlaying) {
+            this.slideshow.pause();
+        } else {
+            this.slideshow.play(this.state === SheetState.IDLE ? this.focusedImage : this.currentImage);
+        }
+        
+        if (this.accessibility) {
+            this.accessibility.announce(this.slideshow.isPlaying ? 'Slideshow playing' : 'Slideshow paused');
+        }
+    }
+    
+    // { order, inDetail, interval } - any subset
+    setSlideshowOptions(options) {
+        const { interval, ...rest } = options;
+        Object.assign(this.slideshowOptions, rest);
+        
+        if (!this.slideshow) return;
+        
+        if (interval) {
+            this.slideshow.setInterval(interval);
+        }
+        
+        if (rest.order) {
+            const image = this.state === SheetState.IDLE ? this.focusedImage : this.currentImage;
+            this.slideshow.setSequence(this.getSlideshowSequence(), image);
+        }
+        
+        // Open or close the detail view on the current frame straight away
+        if (rest.inDetail !== undefined && this.slideshow.isPlaying && this.state !== SheetState.IDLE) {
+            this.showSlide(this.currentImage);
+        }
+        
+        this.updateSlideshowControls();
+    }
+    
+    updateSlideshowControls() {
+        if (!this.slideshowControls) return;
+        
+        this.slideshowControls.update({
+            ...this.slideshow.getState(),
+            order: this.slideshowOptions.order,
+            hasCuratedOrder: Boolean(this.manifest.slideshow),
+            inDetail: this.slideshowOptions.inDetail
+        });
+    }
+    
+    // Scale the frustum by factor between the full-sheet and close-up levels, keeping the
+    // sheet point under (clientX, clientY) fixed on screen
+    zoomAtPoint(clientX, clientY, factor) {
+        const aspect = window.innerWidth / window.innerHeight;
+        const fullSize = aspect > 1 ? 4 : 4 / aspect;
+        const currentSize = this.camera.top - this.camera.bottom;
+        
+        // Sheet point under the cursor, in scene units
+        const pointerX = (clientX / window.innerWidth) * 2 - 1;
+        const pointerY = -(clientY / window.innerHeight) * 2 + 1;
+        const anchorX = this.camera.position.x + pointerX * (this.camera.right - this.camera.left) / 2;
+        const anchorY = this.camera.position.y + pointerY * currentSize / 2;
+        
+        const closeSize = this.calculateZoomFrustum(this.findNearestImage(anchorX, anchorY)).size;
+        const size = Math.min(fullSize, Math.max(closeSize, currentSize * factor));
+        const halfSize = size / 2;
+        
+        // 0 on the full sheet, 1 at the close-up level
+        const progress = fullSize > closeSize ? (fullSize - size) / (fullSize - closeSize) : 1;
+        
+        // Keep the anchor under the cursor, but pull the view back towards the centre
+        // as it approaches the full sheet so zooming out always ends on the whole sheet
+        const bounds = this.getPanBounds(size, closeSize);
+        const x = Math.min(bounds.right, Math.max(bounds.left, anchorX - pointerX * halfSize * aspect));
+        const y = Math.min(bounds.top, Math.max(bounds.bottom, anchorY - pointerY * halfSize));
+        
+        gsap.killTweensOf(this.camera);
+        gsap.killTweensOf(this.camera.position);
+        this.setCameraView(x, y, size);
+        
+        if (factor < 1 && progress >= ZOOM_SNAP_THRESHOLD) {
+            this.snapToNearestImage();
+        } else if (size >= fullSize && this.state === SheetState.ZOOMED_IN) {
+            this.finishZoomOut();
+        }
+        
+        this.updateTextureLevels();
+    }
+    
+    // Point the camera at (x, y) with a frustum of the given height, outside any animation
+    setCameraView(x, y, size) {
+        const aspect = window.innerWidth / window.innerHeight;
+        const halfSize = size / 2;
+        
+        this.camera.left = -halfSize * aspect;
+        this.camera.right = halfSize * aspect;
+        this.camera.top = halfSize;
+        this.camera.bottom = -halfSize;
+        this.camera.position.x = x;
+        this.camera.position.y = y;
+        this.camera.updateProjectionMatrix();
+        
+        if (this.gradientBackground) {
+            const parallaxFactor = 0.15;
+            this.gradientBackground.position.x = x * parallaxFactor;
+            this.gradientBackground.position.y = y * parallaxFactor;
+        }
+    }
+    
+    // Range the camera centre may pan over at a frustum size: the frame centres from
+    // calculateBounds, shrinking towards the sheet centre as the view widens to the full sheet
+    getPanBounds(size = this.camera.top - this.camera.bottom, closeSize = this.calculateZoomFrustum().size) {
+        const aspect = window.innerWidth / window.innerHeight;
+        const fullSize = aspect > 1 ? 4 : 4 / aspect;
+        
+        // 0 on the full sheet, 1 at the close-up level
+        const progress = fullSize > closeSize
+            ? Math.min(1, Math.max(0, (fullSize - size) / (fullSize - closeSize)))
+            : 1;
+        const bounds = this.calculateBounds();
+        
+        return {
+            left: bounds.left * progress,
+            right: bounds.right * progress,
+            top: bounds.top * progress,
+            bottom: bounds.bottom * progress
+        };
+    }
+    
+    // Settle a free zoom on the frame nearest the middle of the view
+    snapToNearestImage() {
+        const target = this.findNearestShownImage(this.camera.position.x, this.camera.position.y);
+        const imagePos = this.layout.getImagePosition(target.row, target.col);
+        
+        if (this.state === SheetState.IDLE) {
+            this.zoomToImage(imagePos, target.row, target.col);
+            return;
+        }
+        
+        // Already zoomed in: only reframe if the view has drifted from the frame
+        const { size } = this.calculateZoomFrustum(target);
+        const isFramed = target.row === this.currentImage.row &&
+            target.col === this.currentImage.col &&
+            Math.abs(this.camera.top - this.camera.bottom - size) < 1e-3 &&
+            Math.abs(this.camera.position.x - imagePos.x) < 1e-3 &&
+            Math.abs(this.camera.position.y - imagePos.y) < 1e-3;
+        
+        if (!isFramed) {
+            this.moveToImage(target);
+        }
+    }
+    
+    // A free zoom reached the full sheet from a zoomed-in frame
+    finishZoomOut() {
+        const aspect = window.innerWidth / window.innerHeight;
+        const frustumSize = aspect > 1 ? 4 : 4 / aspect;
+        
+        this.originalFrustum.left = -frustumSize * aspect / 2;
+        this.originalFrustum.right = frustumSize * aspect / 2;
+        this.originalFrustum.top = frustumSize / 2;
+        this.originalFrustum.bottom = -frustumSize / 2;
+        
+        this.resetImageBrightness();
+        this.state = SheetState.IDLE;
+        this.handleViewSettled();
+    }
+    
     setupCursorStyles(canvas) {
         // Handle cursor style based on hover
         addEventListenerUtil(canvas, 'mousemove', (event) => {
             if (this.state === SheetState.ANIMATING) return;
             
+            if (this.isMarkupMode) {
+                canvas.style.cursor = 'crosshair';
+                return;
+            }
+            
             this.updatePointerPosition(event);
             const intersects = this.raycaster.intersectObject(this.sheet);
             
@@ -260,11 +1164,22 @@ export class ContactSheet {
     }
     
     handleTap(event) {
-        if (this.state === SheetState.ANIMATING) return;
+        // In markup mode taps and drags draw (SheetMarkupLayer)
+        if (this.state === SheetState.ANIMATING || this.isMarkupMode) return;
+        
+        // A tap on a gliding sheet just stops it
+        if (this.panInertia) {
+            this.stopPanInertia();
+            return;
+        }
         
         // Convert touch coordinates to Three.js coordinates
         this.updatePointerFromTouch(event.center);
         
+        // A tap on a frame that failed to load tries it again
+        const tapped = this.getImageAtPointer();
+        if (tapped && this.retryFailedFrame(tapped)) return;
+        
         if (this.state === SheetState.IDLE) {
             // When in idle state, tapping zooms in to an image
             this.handleInitialZoom(event);
@@ -278,7 +1193,14 @@ export class ContactSheet {
         // Immediately block pan if multi-touch is active
         if (this.activeTouchCount > 1 || this.multiTouchActive) return;
         
-        if (this.state === SheetState.ANIMATING) return;
+        if (this.state === SheetState.ANIMATING || this.isMarkupMode) return;
+        
+        this.stopPanInertia();
+        
+        if (this.state === SheetState.IDLE || this.panOptions.freePanWhenZoomed) {
+            this.startFreePan(event);
+            return;
+        }
         
         if (this.state === SheetState.ZOOMED_IN) {
             // Trigger pan immediately for single touch
@@ -304,6 +1226,12 @@ export class ContactSheet {
         // Strictly block pan during multi-touch
         if (this.activeTouchCount > 1 || this.multiTouchActive) {
             this.isDragging = false;
+            this.isFreePanning = false;
+            return;
+        }
+        
+        if (this.isFreePanning) {
+            this.updateFreePan(event);
             return;
         }
         
@@ -360,6 +1288,12 @@ export class ContactSheet {
         // Strictly block pan end during multi-touch
         if (this.activeTouchCount > 1 || this.multiTouchActive) {
             this.isDragging = false;
+            this.isFreePanning = false;
+            return;
+        }
+        
+        if (this.isFreePanning) {
+            this.endFreePan();
             return;
         }
         
@@ -382,32 +1316,163 @@ export class ContactSheet {
             return;
         }
         
-        const totalDeltaX = event.center.x - this.startX;
-        const totalDeltaY = event.center.y - this.startY;
+        const totalDeltaX = event.center.x - this.startX;
+        const totalDeltaY = event.center.y - this.startY;
+        
+        let step = null;
+        
+        if (this.swipeDirection === 'horizontal') {
+            const shouldMove = Math.abs(this.velocityX) > SWIPE_VELOCITY_THRESHOLD || Math.abs(totalDeltaX) > SWIPE_DISTANCE_THRESHOLD;
+            if (shouldMove) {
+                step = { row: 0, col: this.velocityX > 0 || totalDeltaX > 0 ? -1 : 1 };
+            }
+        } else {
+            const shouldMove = Math.abs(this.velocityY) > SWIPE_VELOCITY_THRESHOLD || Math.abs(totalDeltaY) > SWIPE_DISTANCE_THRESHOLD;
+            if (shouldMove) {
+                step = { row: this.velocityY > 0 || totalDeltaY > 0 ? -1 : 1, col: 0 };
+            }
+        }
+        
+        // Stay put at the edge of the grid, past the last frame or with no unfiltered frame that way
+        const targetImage = (step && this.getAdjacentImage(this.currentImage, step)) || { ...this.currentImage };
+        
+        this.moveToImage(targetImage);
+    }
+    
+    // Free pan: the sheet follows the pointer on both axes, at any zoom level
+    startFreePan(event) {
+        this.isFreePanning = true;
+        this.lastX = event.center.x;
+        this.lastY = event.center.y;
+        this.lastTime = performance.now();
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.freePanPosition = { x: this.camera.position.x, y: this.camera.position.y };
+        
+        gsap.killTweensOf(this.camera.position);
+        
+        const canvas = document.querySelector('canvas');
+        if (canvas) {
+            canvas.style.cursor = 'grabbing';
+        }
+    }
+    
+    updateFreePan(event) {
+        const currentTime = performance.now();
+        const deltaTime = Math.max(1, currentTime - this.lastTime);
+        const deltaX = event.center.x - this.lastX;
+        const deltaY = event.center.y - this.lastY;
+        
+        this.velocityX = deltaX / deltaTime;
+        this.velocityY = deltaY / deltaTime;
+        
+        const scale = (this.camera.top - this.camera.bottom) / window.innerHeight;
+        this.freePanPosition.x -= deltaX * scale;
+        this.freePanPosition.y += deltaY * scale;
+        this.applyFreePanPosition();
+        
+        this.lastX = event.center.x;
+        this.lastY = event.center.y;
+        this.lastTime = currentTime;
+    }
+    
+    // Show the unconstrained pan position, with rubber-band resistance past the edges
+    applyFreePanPosition() {
+        const bounds = this.getPanBounds();
+        const halfWidth = (this.camera.right - this.camera.left) / 2;
+        const halfHeight = (this.camera.top - this.camera.bottom) / 2;
+        
+        this.camera.position.x = applyRubberBand(this.freePanPosition.x, bounds.left, bounds.right, halfWidth);
+        this.camera.position.y = applyRubberBand(this.freePanPosition.y, bounds.bottom, bounds.top, halfHeight);
+        
+        if (this.gradientBackground) {
+            const parallaxFactor = 0.15;
+            this.gradientBackground.position.x = this.camera.position.x * parallaxFactor;
+            this.gradientBackground.position.y = this.camera.position.y * parallaxFactor;
+        }
+    }
+    
+    // Carry the release velocity on as momentum, then settle
+    endFreePan() {
+        this.isFreePanning = false;
+        
+        const canvas = document.querySelector('canvas');
+        if (canvas) {
+            canvas.style.cursor = 'default';
+        }
+        
+        // A pointer that rested before release has no momentum left
+        const isMoving = performance.now() - this.lastTime < 100;
+        if (!isMoving || prefersReducedMotion()) {
+            this.settleFreePan();
+            return;
+        }
+        
+        const scale = (this.camera.top - this.camera.bottom) / window.innerHeight;
+        
+        this.panInertia = gsap.to(this.freePanPosition, {
+            x: this.freePanPosition.x - this.velocityX * FREE_PAN.MOMENTUM_TIME * scale,
+            y: this.freePanPosition.y + this.velocityY * FREE_PAN.MOMENTUM_TIME * scale,
+            duration: FREE_PAN.MOMENTUM_DURATION,
+            ease: "power3.out",
+            onUpdate: () => this.applyFreePanPosition(),
+            onComplete: () => {
+                this.panInertia = null;
+                this.settleFreePan();
+            }
+        });
+    }
+    
+    // Spring back inside the edges, onto the nearest frame when zoomed in or when snapping is on
+    settleFreePan() {
+        const bounds = this.getPanBounds();
+        let x = Math.min(bounds.right, Math.max(bounds.left, this.camera.position.x));
+        let y = Math.min(bounds.top, Math.max(bounds.bottom, this.camera.position.y));
+        
+        if (this.state === SheetState.ZOOMED_IN) {
+            this.moveToImage(this.findNearestShownImage(x, y));
+            return;
+        }
+        
+        if (this.panOptions.snapToFrame) {
+            const nearest = this.findNearestShownImage(x, y);
+            const position = this.layout.getImagePosition(nearest.row, nearest.col);
+            x = Math.min(bounds.right, Math.max(bounds.left, position.x));
+            y = Math.min(bounds.top, Math.max(bounds.bottom, position.y));
+        }
+        
+        this.updateTextureLevels();
         
-        let targetImage = { ...this.currentImage };
+        if (x === this.camera.position.x && y === this.camera.position.y) return;
         
-        if (this.swipeDirection === 'horizontal') {
-            const shouldMove = Math.abs(this.velocityX) > SWIPE_VELOCITY_THRESHOLD || Math.abs(totalDeltaX) > SWIPE_DISTANCE_THRESHOLD;
-            if (shouldMove) {
-                if (this.velocityX > 0 || totalDeltaX > 0) {
-                    targetImage.col = Math.max(0, this.currentImage.col - 1);
-                } else {
-                    targetImage.col = Math.min(this.layout.columns - 1, this.currentImage.col + 1);
-                }
-            }
-        } else {
-            const shouldMove = Math.abs(this.velocityY) > SWIPE_VELOCITY_THRESHOLD || Math.abs(totalDeltaY) > SWIPE_DISTANCE_THRESHOLD;
-            if (shouldMove) {
-                if (this.velocityY > 0 || totalDeltaY > 0) {
-                    targetImage.row = Math.max(0, this.currentImage.row - 1);
-                } else {
-                    targetImage.row = Math.min(this.layout.rows - 1, this.currentImage.row + 1);
+        this.panInertia = gsap.to(this.camera.position, {
+            x,
+            y,
+            duration: prefersReducedMotion() ? 0 : FREE_PAN.SETTLE_DURATION,
+            ease: "power2.out",
+            onUpdate: () => {
+                if (this.gradientBackground) {
+                    const parallaxFactor = 0.15;
+                    this.gradientBackground.position.x = this.camera.position.x * parallaxFactor;
+                    this.gradientBackground.position.y = this.camera.position.y * parallaxFactor;
                 }
+            },
+            onComplete: () => {
+                this.panInertia = null;
             }
+        });
+    }
+    
+    stopPanInertia() {
+        if (this.panInertia) {
+            this.panInertia.kill();
+            this.panInertia = null;
         }
-        
-        this.moveToImage(targetImage);
+    }
+    
+    // Change how panning behaves (see panOptions in the constructor)
+    setPanOptions(options) {
+        this.panOptions = { ...this.panOptions, ...options };
     }
     
     handleSwipe(event) {
@@ -417,24 +1482,50 @@ export class ContactSheet {
     moveToImage(targetImage) {
         const imagePos = this.layout.getImagePosition(targetImage.row, targetImage.col);
         
+        this.stopPanInertia();
+        
         gsap.killTweensOf(this.camera.position);
         
         this.state = SheetState.ANIMATING;
         
         this.setImageBrightness(targetImage.row, targetImage.col);
+        this.updateTextureLevels(targetImage);
+        
+        // Frames can differ in size, so reframe the camera for the target image
+        const { size, aspect } = this.calculateZoomFrustum(targetImage);
+        const halfSize = size / 2;
+        
+        const onMoveComplete = () => {
+            this.currentImage = targetImage;
+            
+            setTimeout(() => {
+                this.state = SheetState.ZOOMED_IN;
+                this.handleViewSettled();
+            }, 150);
+        };
+        
+        if (prefersReducedMotion()) {
+            this.animation.cutTo(imagePos, this.animation.getFrustumBounds(size, aspect), onMoveComplete);
+            return;
+        }
+        
+        gsap.to(this.camera, {
+            left: -halfSize * aspect,
+            right: halfSize * aspect,
+            top: halfSize,
+            bottom: -halfSize,
+            duration: ANIMATION_DURATIONS.SUBSEQUENT_MOVEMENT,
+            ease: "power2.out",
+            overwrite: 'auto',
+            onUpdate: () => this.camera.updateProjectionMatrix()
+        });
         
         gsap.to(this.camera.position, {
             x: imagePos.x,
             y: imagePos.y,
             duration: ANIMATION_DURATIONS.SUBSEQUENT_MOVEMENT,
             ease: "power2.out",
-            onComplete: () => {
-                this.currentImage = targetImage;
-                
-                setTimeout(() => {
-                    this.state = SheetState.ZOOMED_IN;
-                }, 150);
-            }
+            onComplete: onMoveComplete
         });
     }
     
@@ -477,6 +1568,13 @@ export class ContactSheet {
     
     // Consolidated cleanup/dispose method
     dispose() {
+        if (this.isDisposed) return;
+        this.isDisposed = true;
+        
+        // Let anyone waiting on showView() move on
+        this.cancelPendingView();
+        this.stopPanInertia();
+        
         this.removeEventListeners();
         
         if (this.panDelayTimer) {
@@ -488,6 +1586,58 @@ export class ContactSheet {
             this.gestureManager.dispose();
         }
         
+        if (this.keyboardManager) {
+            this.keyboardManager.dispose();
+        }
+        
+        if (this.accessibility) {
+            this.accessibility.dispose();
+        }
+        
+        if (this.loupe) {
+            this.loupe.dispose();
+            this.loupe = null;
+        }
+        
+        if (this.markupLayer) {
+            this.markupLayer.dispose();
+            this.markupLayer = null;
+        }
+        
+        if (this.markupToolbar) {
+            this.markupToolbar.dispose();
+            this.markupToolbar = null;
+        }
+        
+        if (this.badges) {
+            this.badges.dispose();
+            this.badges = null;
+        }
+        
+        if (this.ratingFilter) {
+            this.ratingFilter.dispose();
+            this.ratingFilter = null;
+        }
+        
+        if (this.slideshow) {
+            this.slideshow.dispose();
+            this.slideshow = null;
+        }
+        
+        if (this.slideshowControls) {
+            this.slideshowControls.dispose();
+            this.slideshowControls = null;
+        }
+        
+        if (this.focusRing) {
+            this.focusRing.geometry.dispose();
+            this.focusRing.material.dispose();
+            this.scene.remove(this.focusRing);
+            this.focusRing = null;
+        }
+        
+        this.queuedKeyAction = null;
+        
         // Remove specific gesture event listener
         const canvas = document.querySelector('canvas');
         if (canvas) {
@@ -513,6 +1663,30 @@ export class ContactSheet {
             }
         }
         
+        if (this.frameRetries) {
+            this.frameRetries.dispose();
+            this.frameRetries = null;
+        }
+        
+        clearTimeout(this.failureAnnouncementTimer);
+        this.failureAnnouncementTimer = null;
+        
+        if (this.frameTextures) {
+            this.frameTextures.dispose();
+            this.frameTextures = null;
+        }
+        
+        if (this.sheetFrames) {
+            this.sheetFrames.dispose();
+            this.sheetFrames = null;
+        }
+        
+        if (this.stopFollowingLook) {
+            this.stopFollowingLook();
+            this.stopFollowingLook = null;
+        }
+        this.filmLook.dispose();
+        
         this.resourceManager.disposeThreeJsObjects(this.scene, this.sheet, this.SHEET_Z_POSITION);
         
         if (window.gsap) {
@@ -553,10 +1727,7 @@ export class ContactSheet {
         const uv = intersects[0].uv;
         if (!this.isOverImage(uv)) return null;
         
-        const gridX = Math.floor((uv.x * this.layout.sheetWidth - this.layout.firstImageX) / (this.layout.imageWidth + this.layout.horizontalMargin));
-        const gridY = Math.floor(((1 - uv.y) * this.layout.sheetHeight - this.layout.firstImageY) / (this.layout.imageHeight + this.layout.verticalMargin));
-        
-        return { row: gridY, col: gridX };
+        return this.layout.getCellAtSheetPoint(uv.x * this.layout.sheetWidth, (1 - uv.y) * this.layout.sheetHeight);
     }
     
     // Start dragging the sheet
@@ -637,49 +1808,24 @@ export class ContactSheet {
         const totalDeltaX = event.clientX - this.startX;
         const totalDeltaY = event.clientY - this.startY;
         
-        let targetImage = { ...this.currentImage };
+        let step = null;
         
         if (this.swipeDirection === 'horizontal') {
             const shouldMove = Math.abs(this.velocityX) > SWIPE_VELOCITY_THRESHOLD || Math.abs(totalDeltaX) > SWIPE_DISTANCE_THRESHOLD;
             if (shouldMove) {
-                if (this.velocityX > 0 || totalDeltaX > 0) {
-                    targetImage.col = Math.max(0, this.currentImage.col - 1);
-                } else {
-                    targetImage.col = Math.min(this.layout.columns - 1, this.currentImage.col + 1);
-                }
+                step = { row: 0, col: this.velocityX > 0 || totalDeltaX > 0 ? -1 : 1 };
             }
         } else {
             const shouldMove = Math.abs(this.velocityY) > SWIPE_VELOCITY_THRESHOLD || Math.abs(totalDeltaY) > SWIPE_DISTANCE_THRESHOLD;
             if (shouldMove) {
-                if (this.velocityY > 0 || totalDeltaY > 0) {
-                    targetImage.row = Math.max(0, this.currentImage.row - 1);
-                } else {
-                    targetImage.row = Math.min(this.layout.rows - 1, this.currentImage.row + 1);
-                }
+                step = { row: this.velocityY > 0 || totalDeltaY > 0 ? -1 : 1, col: 0 };
             }
         }
         
-        const imagePos = this.layout.getImagePosition(targetImage.row, targetImage.col);
-        
-        gsap.killTweensOf(this.camera.position);
-        
-        this.state = SheetState.ANIMATING;
-        
-        this.setImageBrightness(targetImage.row, targetImage.col);
+        // Stay put at the edge of the grid, past the last frame or with no unfiltered frame that way
+        const targetImage = (step && this.getAdjacentImage(this.currentImage, step)) || { ...this.currentImage };
         
-        gsap.to(this.camera.position, {
-            x: imagePos.x,
-            y: imagePos.y,
-            duration: ANIMATION_DURATIONS.SUBSEQUENT_MOVEMENT,
-            ease: "power2.out",
-            onComplete: () => {
-                this.currentImage = targetImage;
-                
-                setTimeout(() => {
-                    this.state = SheetState.ZOOMED_IN;
-                }, 150);
-            }
-        });
+        this.moveToImage(targetImage);
     }
     
     // Handle clicking on an image when zoomed in
@@ -702,17 +1848,25 @@ export class ContactSheet {
     showDetailView() {
         if (this.state !== SheetState.ZOOMED_IN) return;
 
-        const filename = this.imageMapping[this.currentImage.row][this.currentImage.col];
-        const imageUrl = `images/${this.sheetId}/${filename}`;
+        const frame = this.imageMapping[this.currentImage.row][this.currentImage.col];
+        const imageUrl = `images/${this.sheetId}/${frame.file}`;
         
         // Create basic image data first - don't wait for cached image to show UI
+        // Includes the caption fields (title, location, city, year, camera, description)
         const imageData = {
-            filename: filename,
+            ...frame,
+            filename: frame.file,
             url: imageUrl
         };
         
         // Show the detail view immediately
-        this.detailView.show(imageData, this.camera, () => {});
+        // Closing the detail view returns focus to the frame's mirror button
+        const frameButton = this.accessibility && this.accessibility.getButton(this.currentImage.row, this.currentImage.col);
+        this.detailView.show(imageData, this.camera, () => this.handleViewSettled(), frameButton);
+        if (this.ratings) {
+            this.detailView.setRating(this.ratings.get(frame.file));
+        }
+        this.notifyViewChange();
         
         // Then attempt to load the cached version and update if available
         this.imageLoader.getDOMImageFromTexture(imageUrl)
@@ -723,23 +1877,247 @@ export class ContactSheet {
                 }
             })
             .catch(() => {
-                // Do nothing on failure - the regular image is already showing
+                // Nothing to do - the detail view shows the image's own load failure with a retry button
+            });
+        
+        // Fill in camera, lens, exposure, date and GPS from the file's embedded metadata
+        this.imageLoader.getImageMetadata(imageUrl)
+            .then(metadata => this.detailView.setMetadata(metadata, imageUrl))
+            .catch(() => {
+                // Metadata is optional - the manifest caption is already showing
             });
     }
     
+    // The view currently shown: the zoomed-in image (if any) and whether its detail view is open
+    getView() {
+        const isZoomed = this.state !== SheetState.IDLE;
+        
+        return {
+            sheetId: this.sheetId,
+            image: isZoomed ? { ...this.currentImage } : null,
+            detail: isZoomed && this.detailView.isVisible
+        };
+    }
+    
+    // Keep the mirror's tab stop, focus and announcements on the frame being viewed
+    syncAccessibility() {
+        if (!this.accessibility) return;
+        
+        const isZoomed = this.state === SheetState.ZOOMED_IN;
+        const activeImage = isZoomed ? this.currentImage : this.focusedImage;
+        
+        this.accessibility.setCurrentImage(isZoomed ? this.currentImage : null);
+        
+        if (this.accessibility.containsFocus()) {
+            this.accessibility.focusImage(activeImage);
+        } else {
+            this.accessibility.setActiveImage(activeImage);
+        }
+    }
+    
+    // Views reached on the way to a transient pending view are transient too
+    notifyViewChange(transient = Boolean(this.pendingView && this.pendingView.transient)) {
+        if (this.isDisposed || !this.isInitialized) return;
+        
+        // The slideshow waits while a detail view it didn't open is showing
+        if (this.slideshow) {
+            this.slideshow.setHeld('detail', this.detailView.isVisible && !this.slideshowOptions.inDetail);
+        }
+        
+        if (this.callbacks.onViewChange) {
+            this.callbacks.onViewChange(this.getView(), { transient });
+        }
+    }
+    
+    // Called when an animation ends on a stable view
+    handleViewSettled() {
+        if (this.isDisposed) return;
+        
+        // Zooming out leaves the focus ring on the last frame viewed
+        if (this.state === SheetState.ZOOMED_IN) {
+            this.focusedImage = { ...this.currentImage };
+        }
+        this.updateFocusRing();
+        this.updateTextureLevels();
+        this.syncAccessibility();
+        
+        this.notifyViewChange();
+        
+        // A key pressed during the animation runs now, unless a route is being restored
+        const keyAction = this.queuedKeyAction;
+        this.queuedKeyAction = null;
+        
+        if (keyAction && !this.pendingView && this.state !== SheetState.ANIMATING) {
+            keyAction();
+            return;
+        }
+        
+        this.applyPendingView();
+    }
+    
+    // Animate to a view ({ image: { row, col } | null, detail }), e.g. one restored from the URL.
+    // Each step (closing the detail view, zooming, moving, opening the detail view) starts when
+    // the previous one settles. Resolves once the view is reached or another view is requested.
+    // options.transient reports the views on the way as transient (see onViewChange).
+    showView(view, options = {}) {
+        return new Promise(resolve => {
+            this.cancelPendingView();
+            
+            if (this.isDisposed || this.hasFailed) {
+                resolve();
+                return;
+            }
+            
+            const image = view.image && this.layout.hasImage(view.image.row, view.image.col)
+                ? { row: view.image.row, col: view.image.col }
+                : null;
+            
+            this.pendingView = {
+                image,
+                detail: Boolean(image && view.detail),
+                transient: Boolean(options.transient),
+                resolve
+            };
+            this.applyPendingView();
+        });
+    }
+    
+    // Take the next step towards the pending view, if nothing is animating
+    applyPendingView() {
+        const view = this.pendingView;
+        if (!view || this.isDisposed || !this.isInitialized || this.state === SheetState.ANIMATING) return;
+        
+        const isZoomed = this.state === SheetState.ZOOMED_IN;
+        const isOnImage = isZoomed && view.image &&
+            view.image.row === this.currentImage.row &&
+            view.image.col === this.currentImage.col;
+        
+        // The detail view covers the sheet, so close it before anything else moves
+        if (this.detailView.isVisible && !(isOnImage && view.detail)) {
+            this.detailView.hide();
+            return;
+        }
+        
+        if (!view.image && isZoomed) {
+            this.zoomOut();
+            return;
+        }
+        
+        if (view.image && !isZoomed) {
+            const imagePos = this.layout.getImagePosition(view.image.row, view.image.col);
+            this.zoomToImage(imagePos, view.image.row, view.image.col);
+            return;
+        }
+        
+        if (view.image && !isOnImage) {
+            this.moveToImage(view.image);
+            return;
+        }
+        
+        if (view.detail && !this.detailView.isVisible) {
+            this.showDetailView();
+        }
+        
+        this.pendingView = null;
+        view.resolve();
+        
+        // Report the view even if nothing had to change, e.g. when the requested frame doesn't exist
+        this.notifyViewChange(view.transient);
+    }
+    
+    cancelPendingView() {
+        if (this.pendingView) {
+            this.pendingView.resolve();
+            this.pendingView = null;
+        }
+    }
+    
     // Maintain backward compatibility
     cleanup() {
         this.dispose();
     }
     
-    // Use the utility function for isOverImage
+    // Use the utility function for isOverImage, honoring each frame's real bounds
     isOverImage(uv) {
-        return isOverImage(uv, this.layout);
+        return isOverImage(uv, this.layout, this.frameBounds);
+    }
+    
+    // Real footprint of a frame in sheet pixels, or null if it isn't known
+    getFrameBounds(row, col) {
+        return (this.frameBounds[row] && this.frameBounds[row][col]) || null;
+    }
+    
+    // Use the utility function for calculateZoomFrustum, framing the given image
+    calculateZoomFrustum(image = this.currentImage) {
+        return calculateZoomFrustum(this.getFrameBounds(image.row, image.col), this.layout);
+    }
+    
+    // Next frame from origin in the direction of step that the rating filter lets through,
+    // or null at the edge of the grid
+    getAdjacentImage(origin, step) {
+        let row = origin.row + step.row;
+        let col = origin.col + step.col;
+        
+        while (this.layout.hasImage(row, col)) {
+            if (!this.isFilteredOut(row, col)) {
+                return { row, col };
+            }
+            row += step.row;
+            col += step.col;
+        }
+        
+        return null;
+    }
+    
+    // First (direction 1) or last (direction -1) frame the rating filter lets through,
+    // falling back to the first or last frame when it hides them all
+    getEndImage(direction) {
+        const count = this.layout.imageCount;
+        
+        for (let i = 0; i < count; i++) {
+            const index = direction > 0 ? i : count - 1 - i;
+            const image = { row: Math.floor(index / this.layout.columns), col: index % this.layout.columns };
+            
+            if (!this.isFilteredOut(image.row, image.col)) return image;
+        }
+        
+        const index = direction > 0 ? 0 : count - 1;
+        return { row: Math.floor(index / this.layout.columns), col: index % this.layout.columns };
+    }
+    
+    // Full resolution for the frame being zoomed to (or, zoomed in far enough to tell,
+    // the one nearest the camera) and its neighbours; thumbnails for the rest
+    updateTextureLevels(target = null) {
+        if (!this.frameTextures) return;
+        
+        const aspect = window.innerWidth / window.innerHeight;
+        const fullSize = aspect > 1 ? 4 : 4 / aspect;
+        const size = this.camera.top - this.camera.bottom;
+        
+        let focus = target;
+        if (!focus && this.state === SheetState.ZOOMED_IN) {
+            focus = this.currentImage;
+        } else if (!focus && size <= fullSize * LOD.CLOSE_ZOOM) {
+            focus = this.findNearestImage(this.camera.position.x, this.camera.position.y);
+        }
+        
+        // The last frame viewed stays sharp, so zooming straight back in doesn't refetch it
+        this.frameTextures.setFocus(focus, this.currentImage);
+    }
+    
+    // Draw the frames and paper with the film look or plain (FRAME_LOOKS), cross-fading
+    // unless animate is false or motion is reduced
+    setFrameLook(look, animate = true) {
+        this.filmLook.set(look, animate && !prefersReducedMotion() ? FILM.LOOK_DURATION : 0);
     }
     
-    // Use the utility function for calculateZoomFrustum
-    calculateZoomFrustum() {
-        return calculateZoomFrustum();
+    // Texture memory for debugging: the loader's cached textures (within the budget)
+    // plus the frame atlas, which is always resident
+    getTextureStats() {
+        return {
+            ...this.imageLoader.getTextureStats(),
+            atlasBytes: this.sheetFrames ? this.sheetFrames.atlas.getTextureBytes() : 0
+        };
     }
     
     // Use the utility function for calculateBounds
@@ -752,6 +2130,13 @@ export class ContactSheet {
         return findNearestImage(x, y, this.layout);
     }
     
+    // Nearest frame the rating filter lets through, falling back to the nearest frame
+    // when it hides them all
+    findNearestShownImage(x, y) {
+        return findNearestImage(x, y, this.layout, (row, col) => !this.isFilteredOut(row, col)) ||
+            this.findNearestImage(x, y);
+    }
+    
     // Delegate to the utility functions for device detection
     isDesktopOrTablet() {
         return isDesktopOrTablet();
@@ -768,30 +2153,46 @@ export class ContactSheet {
     
     // Set image brightness to highlight the active image
     setImageBrightness(activeRow, activeCol) {
-        this.animation.setImageBrightness(this.scene, activeRow, activeCol);
+        // Delayed callbacks can fire after a sheet switch; leave the new sheet alone
+        if (this.isDisposed || !this.sheetFrames) return;
+        this.animation.setImageBrightness(this.sheetFrames, activeRow, activeCol);
     }
     
-    // Restore all images to full brightness
+    // Restore all images to full brightness, keeping frames hidden by the rating filter dimmed
     resetImageBrightness() {
-        this.animation.resetImageBrightness(this.scene);
+        if (this.isDisposed || !this.sheetFrames) return;
+        this.animation.resetImageBrightness(this.sheetFrames, (row, col) => this.isFilteredOut(row, col));
     }
     
     // Zoom to a specific image
-    zoomToImage(imagePos, row, col) {
+    // fromState picks the flight: a long zoom from IDLE, a short move from ZOOMED_IN
+    zoomToImage(imagePos, row, col, fromState = this.state) {
+        this.stopPanInertia();
+        
+        // Start fetching full resolution while the camera is still on its way
+        this.updateTextureLevels({ row, col });
+        
         // Define the callback for when animation is complete
         const onZoomComplete = () => {
             this.currentImage = { row, col };
             this.state = SheetState.ZOOMED_IN;
+            this.handleViewSettled();
         };
         
+        // The focus ring only marks frames on the zoomed-out sheet
+        if (this.focusRing) {
+            this.focusRing.visible = false;
+        }
+        
         // Use SheetAnimation to handle the zoom animation
         this.animation.zoomToImage(
             imagePos,
             row,
             col,
-            this.state,
+            fromState,
             onZoomComplete,
-            () => this.setImageBrightness(row, col)
+            () => this.setImageBrightness(row, col),
+            this.calculateZoomFrustum({ row, col })
         );
         
         // Set the state to animating
@@ -801,96 +2202,83 @@ export class ContactSheet {
     // Create images from sheet
     async createImagesFromSheet() {
         try {
-            // Get list of image filenames for the current sheet
-            const imageFiles = await this.imageLoader.getSheetImageFiles(this.sheetId);
+            // Get the ordered list of frames for the current sheet
+            if (!this.manifest) {
+                this.manifest = await this.imageLoader.getSheetManifest(this.sheetId);
+            }
+            const frames = this.manifest.frames;
             
-            // Create a reusable geometry for all images
-            const imageDimensions = {
-                width: this.layout.imageWidth * this.layout.scale,
-                height: this.layout.imageHeight * this.layout.scale
-            };
-            const geometry = new THREE.PlaneGeometry(imageDimensions.width, imageDimensions.height);
+            const frameFit = this.manifest.frameFit;
             
-            // Mapping to track which row/col has which image
+            // Mapping to track which row/col has which manifest frame
             this.imageMapping = [];
+            this.frameBounds = [];
             
             // Clear existing meshes to prevent overlapping
             clearExistingImageMeshes(this.scene, this.sheet, this.SHEET_Z_POSITION);
             
+            if (this.frameTextures) {
+                this.frameTextures.dispose();
+            }
+            if (this.sheetFrames) {
+                this.sheetFrames.dispose();
+            }
+            
+            // Every frame is drawn from a shared texture atlas by a single instanced mesh
+            const frameCount = Math.min(frames.length, this.layout.imageCount);
+            this.sheetFrames = new SheetFrames(this.scene, this.layout, this.SHEET_Z_POSITION + 0.01, frameCount, this.filmLook, this.scene.renderer);
+            this.frameTextures = new FrameTextureManager(this.imageLoader, this.sheetFrames);
+            
+            // Failed frames are retried in the background (see setupFrameRetries)
+            this.frameRetries.dispose();
+            this.frameSources = new Map();
+            
             // Load and create images in grid
             const loadingPromises = [];
             let imageIndex = 0;
-            let successCount = 0;
-            let errorCount = 0;
             
             for (let row = 0; row < this.layout.rows; row++) {
                 this.imageMapping[row] = [];
+                this.frameBounds[row] = [];
                 
                 for (let col = 0; col < this.layout.columns; col++) {
                     // If we've run out of images, stop creating more
-                    if (imageIndex >= imageFiles.length) break;
+                    if (imageIndex >= frameCount) break;
                     
-                    const filename = imageFiles[imageIndex];
-                    this.imageMapping[row][col] = filename;
+                    const frame = frames[imageIndex];
+                    this.imageMapping[row][col] = frame;
                     
-                    const texturePath = `images/${this.sheetId}/${filename}`;
+                    // Use the manifest's pixel size when known so hit testing works before textures arrive
+                    this.frameBounds[row][col] = this.layout.getFrameBounds(frame.width, frame.height, frameFit);
                     
-                    // Create a promise for loading this image with correct settings
-                    const loadPromise = this.imageLoader.loadTextureWithProperEncoding(texturePath)
-                        .then(texture => {
-                            // Create simple material with no special settings
-                            const material = new THREE.MeshBasicMaterial({ 
-                                map: texture,
-                                side: THREE.FrontSide,
-                                transparent: true, // Keep this for other potential uses
-                                color: new THREE.Color(1, 1, 1) // Start with white color multiplier
-                            });
-                            
-                            const mesh = new THREE.Mesh(geometry, material);
-                            
-                            // Position the mesh
-                            const position = this.layout.getImagePosition(row, col);
-                            mesh.position.set(
-                                position.x, 
-                                position.y, 
-                                this.SHEET_Z_POSITION + 0.01
-                            );
-                            
-                            // Store reference to row/col in the mesh for later use
-                            mesh.userData = { row, col, filename, isSheetImage: true };
-                            
-                            // Add to scene
-                            this.scene.add(mesh);
-                            successCount++;
-                        })
-                        .catch(error => {
-                            // Failed to load image, create a fallback
-                            errorCount++;
-                            
-                            // Create a fallback colored material instead
-                            const fallbackMaterial = new THREE.MeshBasicMaterial({ 
-                                color: 0x333333,
-                                transparent: true,
-                                opacity: 0.8 
-                            });
-                            
-                            const mesh = new THREE.Mesh(geometry, fallbackMaterial);
-                            const position = this.layout.getImagePosition(row, col);
-                            mesh.position.set(position.x, position.y, this.SHEET_Z_POSITION + 0.01);
-                            mesh.userData = { row, col, filename, isPlaceholder: true, isSheetImage: true };
-                            this.scene.add(mesh);
-                        });
+                    // The atlas copy comes from the thumbnail when there is one; FrameTextureManager
+                    // shows the full image when the frame is zoomed into or is next to the current frame
+                    const source = {
+                        slot: imageIndex,
+                        row,
+                        col,
+                        frame,
+                        texturePath: `images/${this.sheetId}/${frame.file}`,
+                        thumbnailPath: frame.thumbnail ? `images/${this.sheetId}/${frame.thumbnail}` : null
+                    };
+                    this.frameSources.set(`${row},${col}`, source);
                     
-                    loadingPromises.push(loadPromise);
+                    loadingPromises.push(this.loadFrame(source));
                     imageIndex++;
                 }
             }
             
-            // Wait for all images to load
-            await Promise.all(loadingPromises);
+            // Wait for all images to load (thumbnails, where the manifest has them)
+            const results = await Promise.all(loadingPromises);
+            
+            if (this.isDisposed) return;
+            
+            const successCount = results.filter(Boolean).length;
+            const errorCount = results.length - successCount;
             
             // If all images failed, throw an error to be caught
             if (successCount === 0 && errorCount > 0) {
+                this.frameRetries.dispose();
                 throw new Error(`Failed to load any images for sheet "${this.sheetId}"`);
             }
             
@@ -900,14 +2288,120 @@ export class ContactSheet {
         }
     }
     
+    // Load one frame's image into the atlas, falling back to the full image when the
+    // thumbnail is missing. Resolves to whether it loaded; a frame that didn't shows a
+    // placeholder and is retried with backoff (frameRetries).
+    loadFrame(source) {
+        const { slot, row, col, frame, texturePath, thumbnailPath } = source;
+        const key = `${row},${col}`;
+        let sourcePath = thumbnailPath || texturePath;
+        
+        // Each frame fades in on the sheet as soon as its image arrives
+        const fadeDuration = prefersReducedMotion() ? 0 : FRAME_FADE_DURATION;
+        
+        return this.imageLoader.loadTextureWithProperEncoding(sourcePath)
+            .catch(error => {
+                // A missing thumbnail falls back to the full image
+                if (sourcePath === texturePath) throw error;
+                sourcePath = texturePath;
+                return this.imageLoader.loadTextureWithProperEncoding(texturePath);
+            })
+            .then(texture => {
+                // Don't add frames for a sheet that has been switched away
+                if (this.isDisposed) return false;
+                
+                // Without manifest dimensions, fall back to the texture's own size
+                if (!frame.width || !frame.height) {
+                    this.frameBounds[row][col] = this.layout.getFrameBounds(texture.image.width, texture.image.height, this.manifest.frameFit);
+                }
+                
+                this.sheetFrames.addFrame(slot, row, col, this.frameBounds[row][col], texture.image, fadeDuration);
+                this.frameTextures.register(row, col, texturePath);
+                
+                // The atlas holds its own copy, so the loaded image can go
+                this.imageLoader.releaseTexture(sourcePath);
+                this.frameRetries.succeed(key);
+                return true;
+            })
+            .catch(() => {
+                if (this.isDisposed) return false;
+                
+                // Show a placeholder in its place until a retry gets through
+                this.sheetFrames.addFrame(slot, row, col, this.frameBounds[row][col], null, fadeDuration, FAILED_FRAME_LABELS.RETRYING);
+                this.frameRetries.fail(key);
+                return false;
+            });
+    }
+    
+    // Retry failed frames with exponential backoff, and all of them at once when the
+    // browser comes back online. A frame whose retries are used up says "Tap to retry".
+    setupFrameRetries() {
+        this.frameRetries = new RetryQueue({
+            onRetry: (key) => {
+                const source = this.frameSources.get(key);
+                if (source) this.loadFrame(source);
+            },
+            onGiveUp: (key) => {
+                const source = this.frameSources.get(key);
+                if (!source || !this.sheetFrames) return;
+                
+                this.sheetFrames.addFrame(source.slot, source.row, source.col,
+                    this.frameBounds[source.row][source.col], null, 0, FAILED_FRAME_LABELS.GIVEN_UP);
+            }
+        });
+        
+        this.addEventListener(window, 'online', () => {
+            this.frameRetries.retryAll();
+            if (this.detailView.hasImageError()) this.detailView.retryImage();
+        });
+        this.addEventListener(document, 'asset-load-error', (event) => this.handleAssetLoadError(event));
+    }
+    
+    // Retry a failed frame straight away, e.g. when it is tapped; false if it hasn't failed
+    retryFailedFrame(image) {
+        const key = `${image.row},${image.col}`;
+        if (!this.frameRetries || !this.frameRetries.has(key)) return false;
+        
+        const source = this.frameSources.get(key);
+        this.sheetFrames.addFrame(source.slot, image.row, image.col,
+            this.frameBounds[image.row][image.col], null, 0, FAILED_FRAME_LABELS.RETRYING);
+        this.frameRetries.retry(key);
+        return true;
+    }
+    
+    // AssetLoader dispatches asset-load-error for every failed request. Failures of this
+    // sheet's images are announced to screen readers together, once they stop coming.
+    handleAssetLoadError(event) {
+        const url = event.detail && event.detail.url;
+        if (!url || !url.startsWith(`images/${this.sheetId}/`)) return;
+        
+        this.failedUrls.add(url);
+        clearTimeout(this.failureAnnouncementTimer);
+        
+        this.failureAnnouncementTimer = setTimeout(() => {
+            const count = this.failedUrls.size;
+            this.failedUrls.clear();
+            this.failureAnnouncementTimer = null;
+            
+            if (this.accessibility) {
+                this.accessibility.announce(count === 1
+                    ? 'An image couldn\'t be loaded; retrying'
+                    : `${count} images couldn't be loaded; retrying`);
+            }
+        }, FAILURE_ANNOUNCEMENT_DELAY);
+    }
+    
     // Zoom out to show the entire sheet
     zoomOut() {
+        this.stopPanInertia();
+        
         // Define callback for when zoom out is complete
         const onZoomOutComplete = () => {
             // Add a small cooldown period after animation completes
             // to prevent accidental clicks
             setTimeout(() => {
                 this.state = SheetState.IDLE;
+                this.handleViewSettled();
             }, 150); // 150ms cooldown after animation ends
         };
         
@@ -931,87 +2425,94 @@ export class ContactSheet {
         return this.createImagesFromSheet();
     }
     
-    // Pinch gesture handlers
+    // Pinch gesture handlers: the frustum follows the fingers live, zooming around the
+    // pinch centre while it moves with them, and settles when they lift
     handlePinchStart(event) {
-        if (this.state !== SheetState.ZOOMED_IN || this.state === SheetState.ANIMATING) return;
+        if (this.state === SheetState.ANIMATING || this.detailView.isVisible) return;
         
-        // Direct fix: Force cancel any ongoing pan gesture immediately
-        this.isPinching = true;
-        this.initialPinchScale = event.scale;
+        this.stopPanInertia();
+        gsap.killTweensOf(this.camera);
+        gsap.killTweensOf(this.camera.position);
         
-        // Force reset any ongoing drag state
-        if (this.isDragging) {
-            this.isDragging = false;
-            
-            // Reset camera position if it was moved by panning
-            if (this.hasMovedBeyondThreshold) {
-                const imagePos = this.layout.getImagePosition(this.currentImage.row, this.currentImage.col);
-                gsap.killTweensOf(this.camera.position);
-                gsap.to(this.camera.position, {
-                    x: imagePos.x,
-                    y: imagePos.y,
-                    duration: 0.1,
-                    ease: "power1.out"
-                });
-            }
-            
-            // Reset cursor style
-            const canvas = document.querySelector('canvas');
-            if (canvas) {
-                canvas.style.cursor = 'pointer';
-            }
-        }
+        // The pinch takes over from any one-finger drag
+        this.isDragging = false;
+        this.isFreePanning = false;
+        this.hasMovedBeyondThreshold = false;
         
-        // Update pointer to center of pinch
-        this.updatePointerFromTouch(event.center);
+        const aspect = window.innerWidth / window.innerHeight;
+        const size = this.camera.top - this.camera.bottom;
+        const pointerX = (event.center.x / window.innerWidth) * 2 - 1;
+        const pointerY = -(event.center.y / window.innerHeight) * 2 + 1;
+        
+        // Sheet point between the fingers, in scene units - it stays between them
+        const anchorX = this.camera.position.x + pointerX * size * aspect / 2;
+        const anchorY = this.camera.position.y + pointerY * size / 2;
+        
+        this.pinch = {
+            startSize: size,
+            startScale: event.scale,
+            anchorX,
+            anchorY,
+            closeSize: this.calculateZoomFrustum(this.findNearestImage(anchorX, anchorY)).size
+        };
+        this.isPinching = true;
         
-        // Verify we're over the current active image
-        const image = this.getImageAtPointer();
-        if (!image || image.row !== this.currentImage.row || image.col !== this.currentImage.col) {
-            this.isPinching = false;
+        if (this.focusRing) {
+            this.focusRing.visible = false;
         }
     }
     
-    handlePinchOut(event) {
-        if (!this.isPinching || this.state !== SheetState.ZOOMED_IN || this.state === SheetState.ANIMATING) return;
+    handlePinchMove(event) {
+        if (!this.isPinching || this.state === SheetState.ANIMATING) return;
+        
+        const aspect = window.innerWidth / window.innerHeight;
+        const fullSize = aspect > 1 ? 4 : 4 / aspect;
+        const { startSize, startScale, anchorX, anchorY, closeSize } = this.pinch;
         
-        // Calculate pinch change relative to initial scale
-        const pinchChange = event.scale / this.initialPinchScale;
+        // Fingers may push a little past the close-up level towards the detail view
+        const minSize = Math.min(fullSize, closeSize / PINCH_ZOOM.MAX_OVERZOOM);
+        const size = Math.min(fullSize, Math.max(minSize, startSize * startScale / event.scale));
+        const halfSize = size / 2;
         
-        // Only show detail view if pinch is significant enough
-        if (pinchChange > 1.3) {
-            this.isPinching = false; // Reset to prevent multiple triggers
-            
-            // Ensure any pan operation is completely stopped
-            this.isDragging = false;
-            this.hasMovedBeyondThreshold = false;
-            
-            // Use the exact same method as tap to show detail view
-            this.showDetailView();
-        }
+        const pointerX = (event.center.x / window.innerWidth) * 2 - 1;
+        const pointerY = -(event.center.y / window.innerHeight) * 2 + 1;
+        const bounds = this.getPanBounds(size, closeSize);
+        
+        const x = applyRubberBand(anchorX - pointerX * halfSize * aspect, bounds.left, bounds.right, halfSize * aspect);
+        const y = applyRubberBand(anchorY - pointerY * halfSize, bounds.bottom, bounds.top, halfSize);
+        
+        this.setCameraView(x, y, size);
     }
     
+    // Settle on the full sheet, the nearest frame or that frame's detail view
     handlePinchEnd() {
+        if (!this.isPinching) return;
         this.isPinching = false;
-    }
-    
-    // Add pinch-in handler to zoom out
-    handlePinchIn(event) {
-        if (!this.isPinching || this.state !== SheetState.ZOOMED_IN || this.state === SheetState.ANIMATING) return;
         
-        // Calculate pinch change relative to initial scale
-        const pinchChange = event.scale / this.initialPinchScale;
+        const aspect = window.innerWidth / window.innerHeight;
+        const fullSize = aspect > 1 ? 4 : 4 / aspect;
+        const size = this.camera.top - this.camera.bottom;
         
-        // Only trigger zoom out if pinch is significant enough
-        if (pinchChange < 0.7) {
-            this.isPinching = false; // Reset to prevent multiple triggers
-            
-            // Ensure any pan operation is completely stopped
-            this.isDragging = false;
-            this.hasMovedBeyondThreshold = false;
-            
-            // Use the same zoom out method that's used elsewhere
-            this.zoomOut();
+        const target = this.findNearestShownImage(this.camera.position.x, this.camera.position.y);
+        const closeSize = this.calculateZoomFrustum(target).size;
+        const progress = fullSize > closeSize ? (fullSize - size) / (fullSize - closeSize) : 1;
+        
+        if (progress < PINCH_ZOOM.FRAME_THRESHOLD) {
+            if (this.state === SheetState.ZOOMED_IN || size < fullSize) {
+                this.zoomOut();
+            } else {
+                this.updateFocusRing();
+            }
+            return;
+        }
+        
+        // Already most of the way in, so a short move frames the target
+        const imagePos = this.layout.getImagePosition(target.row, target.col);
+        this.zoomToImage(imagePos, target.row, target.col, SheetState.ZOOMED_IN);
+        
+        if (size <= closeSize / PINCH_ZOOM.DETAIL_SCALE) {
+            // Runs once the frame is settled
+            this.showView({ sheetId: this.sheetId, image: target, detail: true });
         }
     }
 } 
\ No newline at end of file
@@ -1,5 +1,35 @@
+import { titleFromFilename } from '../core/SheetManifest.js';
+import { formatExposure, formatCoordinates } from '../core/JpegMetadata.js';
+import { prefersReducedMotion } from '../core/MotionPreference.js';
+import { MAX_RATING, COLOR_LABELS, getRatingKeyAction } from '../core/FrameRatings.js';
+
+// Detail rows shown beneath the title, in display order.
+// Manifest captions win; embedded EXIF/XMP metadata fills in the rest.
+const DETAIL_ROWS = [
+    { key: 'location', label: 'Location', value: (caption) => caption.location },
+    { key: 'city', label: 'City', value: (caption, metadata) => caption.city || metadata.city },
+    { key: 'year', label: 'Year', value: (caption, metadata) => caption.year || (metadata.date ? metadata.date.slice(0, 4) : null) },
+    { key: 'camera', label: 'Camera', value: (caption, metadata) => caption.camera || metadata.camera },
+    { key: 'lens', label: 'Lens', value: (caption, metadata) => metadata.lens },
+    { key: 'exposure', label: 'Exposure', value: (caption, metadata) => formatExposure(metadata.exposure) },
+    { key: 'date', label: 'Captured', value: (caption, metadata) => metadata.date ? metadata.date.replace('T', ' ').slice(0, 16) : null },
+    { key: 'gps', label: 'Coordinates', value: (caption, metadata) => formatCoordinates(metadata.gps) }
+];
+
+// Cross-fade used instead of the scale and camera zoom in reduced-motion mode
+const REDUCED_MOTION_FADE_DURATION = 0.2;
+
+// Elements the focus trap cycles through
+const FOCUSABLE_SELECTOR = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Gives each detail view unique element ids for ARIA references
+let instanceCounter = 0;
+
 export class DetailView {
-    constructor() {
+    // callbacks.onRate(rating) and callbacks.onLabel(label) rate the frame being shown
+    constructor(callbacks = {}) {
+        this.callbacks = callbacks;
+        
         // Create container - make it transparent to allow contact sheet to show through
         this.container = document.createElement('div');
         this.container.style.cssText = `
@@ -17,6 +47,14 @@ export class DetailView {
             background-color: transparent;
         `;
         
+        // Expose the panel as a modal dialog, hidden until shown
+        this.instanceId = ++instanceCounter;
+        this.container.setAttribute('role', 'dialog');
+        this.container.setAttribute('aria-modal', 'true');
+        // Escape and minus reach the sheet's KeyboardManager, which closes the dialog
+        this.container.setAttribute('data-back-keys', '');
+        this.container.style.display = 'none';
+        
         // Track visibility state
         this.isVisible = false;
 
@@ -35,6 +73,11 @@ export class DetailView {
         // Create close button
         this.closeButton = document.createElement('button');
         this.closeButton.innerHTML = '×';
+        this.closeButton.setAttribute('aria-label', 'Close');
+        this.closeButton.setAttribute('data-back-keys', '');
+        // The button lives outside the container (it must not scale with it), so claim it for the dialog
+        this.closeButton.id = `detail-view-close-${this.instanceId}`;
+        this.container.setAttribute('aria-owns', this.closeButton.id);
         this.closeButton.style.cssText = `
             position: fixed;
             top: 20px;
@@ -51,6 +94,7 @@ export class DetailView {
             z-index: 1002;
             opacity: 0;
             transform: scale(0.9);
+            display: none;
         `;
 
         // Create content wrapper
@@ -82,8 +126,50 @@ export class DetailView {
             display: block;
         `;
 
+        // Create the message shown in place of an image that can't be loaded
+        this.imageError = document.createElement('div');
+        this.imageError.setAttribute('role', 'alert');
+        this.imageError.style.cssText = `
+            display: none;
+            padding: 60px 20px;
+            text-align: center;
+            color: rgba(255, 255, 255, 0.8);
+            font-size: 14px;
+            font-family: "Source Code Pro", Menlo, Monaco, Consolas, monospace, monospace;
+        `;
+        
+        const imageErrorMessage = document.createElement('p');
+        imageErrorMessage.textContent = 'This image couldn\'t be loaded.';
+        imageErrorMessage.style.cssText = `
+            margin: 0 0 15px;
+        `;
+        
+        this.retryButton = document.createElement('button');
+        this.retryButton.type = 'button';
+        this.retryButton.textContent = 'Try again';
+        this.retryButton.style.cssText = `
+            background: #333;
+            color: white;
+            border: none;
+            padding: 10px 20px;
+            cursor: pointer;
+            font-size: 14px;
+            font-family: inherit;
+        `;
+        this.retryButton.addEventListener('click', () => this.retryImage());
+        
+        this.imageError.appendChild(imageErrorMessage);
+        this.imageError.appendChild(this.retryButton);
+        
+        // The image reports its own failure, whichever element is showing
+        this.imageErrorHandler = () => this.showImageError();
+        this.imageLoadHandler = () => this.hideImageError();
+        this.watchImage(null);
+
         // Create title
         this.title = document.createElement('h2');
+        this.title.id = `detail-view-title-${this.instanceId}`;
+        this.container.setAttribute('aria-labelledby', this.title.id);
         this.title.style.cssText = `
             color: white;
             font-size: 24px;
@@ -91,6 +177,92 @@ export class DetailView {
             font-family: "Source Code Pro", Menlo, Monaco, Consolas, monospace, monospace;
         `;
 
+        // Create rating controls - star buttons and color labels, like the number keys
+        this.rating = document.createElement('div');
+        this.rating.setAttribute('role', 'group');
+        this.rating.setAttribute('aria-label', 'Rating');
+        this.rating.style.cssText = `
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 6px;
+            margin: 0 20px 20px;
+        `;
+        
+        this.starButtons = [];
+        for (let rating = 1; rating <= MAX_RATING; rating++) {
+            const star = document.createElement('button');
+            star.type = 'button';
+            star.textContent = '★';
+            star.setAttribute('aria-label', rating === 1 ? '1 star' : `${rating} stars`);
+            star.style.cssText = `
+                background: none;
+                border: none;
+                padding: 0 2px;
+                font-size: 22px;
+                line-height: 1;
+                cursor: pointer;
+                color: rgba(255, 255, 255, 0.3);
+            `;
+            // Clicking the current rating again clears it
+            star.addEventListener('click', () => {
+                if (this.callbacks.onRate) {
+                    this.callbacks.onRate(this.ratingEntry && this.ratingEntry.rating === rating ? 0 : rating);
+                }
+            });
+            
+            this.rating.appendChild(star);
+            this.starButtons.push(star);
+        }
+        
+        this.labelButtons = COLOR_LABELS.map(({ id, name, color }, index) => {
+            const swatch = document.createElement('button');
+            swatch.type = 'button';
+            swatch.setAttribute('aria-label', `${name} label`);
+            swatch.style.cssText = `
+                width: 18px;
+                height: 18px;
+                margin-left: ${index === 0 ? '14px' : '0'};
+                border-radius: 50%;
+                border: 2px solid transparent;
+                background: ${color};
+                cursor: pointer;
+            `;
+            swatch.addEventListener('click', () => {
+                if (this.callbacks.onLabel) this.callbacks.onLabel(id);
+            });
+            
+            this.rating.appendChild(swatch);
+            return { id, swatch };
+        });
+        
+        // Create caption details - each row is hidden when the frame has no value for it
+        this.details = document.createElement('dl');
+        this.details.style.cssText = `
+            display: grid;
+            grid-template-columns: max-content 1fr;
+            gap: 6px 20px;
+            margin: 0 20px 20px;
+            color: white;
+            font-size: 14px;
+            font-family: "Source Code Pro", Menlo, Monaco, Consolas, monospace, monospace;
+        `;
+        
+        this.detailRows = {};
+        DETAIL_ROWS.forEach(({ key, label }) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            term.style.cssText = `
+                color: rgba(255, 255, 255, 0.6);
+            `;
+            
+            const value = document.createElement('dd');
+            
+            this.details.appendChild(term);
+            this.details.appendChild(value);
+            this.detailRows[key] = { term, value };
+        });
+
         // Create description
         this.description = document.createElement('p');
         this.description.style.cssText = `
@@ -99,7 +271,6 @@ export class DetailView {
             line-height: 1.5;
             font-family: "Source Code Pro", Menlo, Monaco, Consolas, monospace, monospace;
         `;
-        this.description.textContent = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed vitae justo vel metus gravida tincidunt. Nullam eget felis non nunc varius venenatis. Vestibulum ante ipsum primis in faucibus orci luctus et ultrices posuere cubilia curae; Donec lacinia magna sit amet dolor volutpat, non mollis nulla consequat.';
 
         // Create inquire button
         this.inquireButton = document.createElement('button');
@@ -117,7 +288,10 @@ export class DetailView {
 
         // Assemble the DOM
         this.content.appendChild(this.image);
+        this.content.appendChild(this.imageError);
         this.content.appendChild(this.title);
+        this.content.appendChild(this.rating);
+        this.content.appendChild(this.details);
         this.content.appendChild(this.description);
         this.content.appendChild(this.inquireButton);
         this.container.appendChild(this.background);
@@ -247,18 +421,80 @@ export class DetailView {
         };
     }
     
+    // Fallback title for frames without an explicit one in the manifest
     formatTitle(filename) {
-        return filename
-            .replace(/\.[^/.]+$/, '') // Remove extension
-            .replace(/-/g, ' ') // Replace hyphens with spaces
-            .replace(/([A-Z])/g, ' $1') // Add space before capitals
-            .trim();
+        return titleFromFilename(filename);
+    }
+    
+    // Set the manifest caption for the image being shown
+    setCaption(imageData) {
+        this.caption = imageData;
+        this.metadata = {};
+        this.renderDetails();
+    }
+    
+    // Add metadata parsed from the image file, if it still belongs to the image being shown
+    setMetadata(metadata, url) {
+        if (!this.isVisible || !this.caption || this.caption.url !== url) return;
+        
+        this.metadata = metadata || {};
+        this.renderDetails();
+    }
+    
+    // Render caption and metadata, hiding any section without content
+    renderDetails() {
+        const caption = this.caption || {};
+        const metadata = this.metadata || {};
+        let hasDetails = false;
+        
+        DETAIL_ROWS.forEach(({ key, value: getValue }) => {
+            const { term, value } = this.detailRows[key];
+            const rawValue = getValue(caption, metadata);
+            const text = rawValue !== undefined && rawValue !== null ? String(rawValue) : '';
+            
+            value.textContent = text;
+            term.style.display = text ? '' : 'none';
+            value.style.display = text ? '' : 'none';
+            hasDetails = hasDetails || text !== '';
+        });
+        
+        this.details.style.display = hasDetails ? '' : 'none';
+        
+        // Embedded captions often just repeat the title, so only use them when they add something
+        const embeddedCaption = metadata.caption && metadata.caption !== caption.title ? metadata.caption : null;
+        const description = caption.description || embeddedCaption || '';
+        
+        this.description.textContent = description;
+        this.description.style.display = description ? '' : 'none';
     }
     
-    show(imageData, camera, onClose) {
+    // Reflect the shown frame's { rating, label }
+    setRating(entry) {
+        this.ratingEntry = entry;
+        
+        this.starButtons.forEach((star, index) => {
+            const isOn = index < entry.rating;
+            star.style.color = isOn ? 'white' : 'rgba(255, 255, 255, 0.3)';
+            star.setAttribute('aria-pressed', index + 1 === entry.rating ? 'true' : 'false');
+        });
+        
+        this.labelButtons.forEach(({ id, swatch }) => {
+            const isOn = id === entry.label;
+            swatch.style.borderColor = isOn ? 'white' : 'transparent';
+            swatch.setAttribute('aria-pressed', isOn ? 'true' : 'false');
+        });
+    }
+    
+    // returnFocus is focused again when the view closes (defaults to whatever has focus now)
+    show(imageData, camera, onClose, returnFocus = document.activeElement) {
         this.onClose = onClose;
         this.camera = camera;
         this.isVisible = true;
+        this.returnFocus = returnFocus;
+        
+        // Display before sizing so the resize handler applies the layout
+        this.container.style.display = 'block';
+        this.closeButton.style.display = 'block';
         
         // Store original camera settings
         this.originalSettings = {
@@ -275,6 +511,10 @@ export class DetailView {
         window.addEventListener('resize', this.resizeHandler);
         
         // Update content - use preloaded image if available
+        const previousImage = this.image;
+        this.imageUrl = imageData.url;
+        this.hideImageError();
+        
         if (imageData.domImage) {
             // Replace the existing image with the preloaded one to avoid loading delay
             if (this.image.parentNode) {
@@ -295,8 +535,11 @@ export class DetailView {
             // Fallback to standard image loading
             this.image.src = imageData.url;
         }
+        this.watchImage(previousImage);
         
-        this.title.textContent = this.formatTitle(imageData.filename);
+        this.applyImageBounds(imageData);
+        this.title.textContent = imageData.title || this.formatTitle(imageData.filename);
+        this.setCaption(imageData);
         
         // Enable interaction
         this.container.style.pointerEvents = 'auto';
@@ -304,6 +547,31 @@ export class DetailView {
         // Create master timeline
         const tl = gsap.timeline();
         
+        if (prefersReducedMotion()) {
+            // Reduced motion: fade the panel in place, leaving the camera and scale alone
+            gsap.set(this.container, {
+                display: 'block',
+                opacity: 0,
+                transform: 'scale(1)',
+                transformOrigin: 'center center'
+            });
+            gsap.set([this.closeButton, this.content, this.background], { opacity: 0 });
+            
+            tl.to([this.container, this.background, this.closeButton, this.content], {
+                opacity: 1,
+                duration: REDUCED_MOTION_FADE_DURATION,
+                ease: 'none'
+            });
+        } else {
+            this.playShowAnimation(tl, camera);
+        }
+
+        this.addKeyHandlers();
+        this.closeButton.focus({ preventScroll: true });
+    }
+    
+    // Grow the panel from the frame while the camera pushes in
+    playShowAnimation(tl, camera) {
         // Calculate zoom amounts
         const zoomFactor = window.innerWidth <= 768 ? 1.15 : 1.1;
         const startScale = window.innerWidth <= 768 ? 0.5 : 0.6; // Start small and grow
@@ -344,14 +612,74 @@ export class DetailView {
             duration: 0.3,
             ease: 'power2.out'
         }, '-=0.2');
-
-        // Add escape key handler
-        this.escHandler = (e) => {
-            if (e.key === 'Escape') this.hide();
+    }
+    
+    addKeyHandlers() {
+        // Number keys rate the frame, as they do on the zoomed-in sheet.
+        // Escape and minus are left to the sheet's KeyboardManager (see ContactSheet).
+        this.ratingKeyHandler = (e) => {
+            if (e.altKey || e.ctrlKey || e.metaKey) return;
+            
+            const action = getRatingKeyAction(e.key);
+            if (!action) return;
+            
+            e.preventDefault();
+            if (action.label) {
+                if (this.callbacks.onLabel) this.callbacks.onLabel(action.label);
+            } else if (this.callbacks.onRate) {
+                this.callbacks.onRate(action.rating);
+            }
+        };
+        document.addEventListener('keydown', this.ratingKeyHandler);
+        
+        // Keep Tab and Shift+Tab inside the dialog while it is open
+        this.focusTrapHandler = (e) => {
+            if (e.key !== 'Tab') return;
+            
+            const focusable = this.getFocusableElements();
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const isInside = focusable.includes(document.activeElement);
+            
+            if (e.shiftKey && (document.activeElement === first || !isInside)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || !isInside)) {
+                e.preventDefault();
+                first.focus();
+            }
         };
-        document.addEventListener('keydown', this.escHandler);
+        document.addEventListener('keydown', this.focusTrapHandler);
+    }
+    
+    // The close button sits outside the container, so list it first explicitly
+    getFocusableElements() {
+        const inside = Array.from(this.container.querySelectorAll(FOCUSABLE_SELECTOR))
+            .filter(element => !element.disabled && element.offsetParent !== null);
+        
+        return [this.closeButton, ...inside];
     }
 
+    // Size the image from its real pixel dimensions so the panel doesn't jump while it loads,
+    // and keep portrait images within the viewport instead of stretching them to full width
+    applyImageBounds(imageData) {
+        const { width, height } = imageData;
+        
+        this.image.style.aspectRatio = width && height ? `${width} / ${height}` : '';
+        
+        if (width && height && height > width) {
+            this.image.style.width = 'auto';
+            this.image.style.maxWidth = '100%';
+            this.image.style.maxHeight = '80vh';
+            this.image.style.margin = '0 auto';
+        } else {
+            this.image.style.width = '100%';
+            this.image.style.maxWidth = '';
+            this.image.style.maxHeight = '';
+            this.image.style.margin = '';
+        }
+    }
+    
     // Update image without restarting the animation
     updateImage(newImage) {
         if (!this.isVisible || !this.image || !this.image.parentNode) return;
@@ -359,21 +687,95 @@ export class DetailView {
         const newImageElement = newImage.cloneNode(true);
         newImageElement.style.cssText = this.image.style.cssText;
         this.content.replaceChild(newImageElement, this.image);
+        
+        const previousImage = this.image;
         this.image = newImageElement;
+        this.watchImage(previousImage);
+        this.hideImageError();
+    }
+    
+    // Move the load and error listeners from the image element being replaced to the current one
+    watchImage(previousImage) {
+        if (previousImage) {
+            previousImage.removeEventListener('error', this.imageErrorHandler);
+            previousImage.removeEventListener('load', this.imageLoadHandler);
+        }
+        
+        this.image.addEventListener('error', this.imageErrorHandler);
+        this.image.addEventListener('load', this.imageLoadHandler);
+    }
+    
+    showImageError() {
+        if (!this.isVisible) return;
+        
+        this.image.style.display = 'none';
+        this.imageError.style.display = 'block';
+    }
+    
+    hasImageError() {
+        return this.imageError.style.display !== 'none';
+    }
+    
+    hideImageError() {
+        this.image.style.display = 'block';
+        this.imageError.style.display = 'none';
+    }
+    
+    // Load the image again, e.g. once the connection is back
+    retryImage() {
+        if (!this.imageUrl) return;
+        
+        this.hideImageError();
+        this.image.src = this.imageUrl;
     }
 
     hide() {
         this.isVisible = false;
         
-        const endScale = window.innerWidth <= 768 ? 0.5 : 0.6; // End small
-        
         const tl = gsap.timeline({
             onComplete: () => {
                 this.container.style.pointerEvents = 'none';
+                
+                // Hide from screen readers and the tab order, unless it was reopened meanwhile
+                if (!this.isVisible) {
+                    this.container.style.display = 'none';
+                    this.closeButton.style.display = 'none';
+                }
+                
                 if (this.onClose) this.onClose();
             }
         });
         
+        if (prefersReducedMotion()) {
+            // Reduced motion: fade out in place and put the camera straight back
+            tl.to([this.container, this.background, this.closeButton, this.content], {
+                opacity: 0,
+                duration: REDUCED_MOTION_FADE_DURATION,
+                ease: 'none'
+            });
+            
+            gsap.killTweensOf(this.camera);
+            gsap.set(this.camera, { ...this.originalSettings });
+            this.camera.updateProjectionMatrix();
+        } else {
+            this.playHideAnimation(tl);
+        }
+        
+        document.removeEventListener('keydown', this.ratingKeyHandler);
+        document.removeEventListener('keydown', this.focusTrapHandler);
+        window.removeEventListener('resize', this.resizeHandler);
+        
+        // Send focus back to where it was before the dialog opened
+        if (this.returnFocus && this.returnFocus.isConnected && typeof this.returnFocus.focus === 'function') {
+            this.returnFocus.focus({ preventScroll: true });
+        }
+        this.returnFocus = null;
+    }
+    
+    // Shrink the panel away while the camera pulls back out
+    playHideAnimation(tl) {
+        const endScale = window.innerWidth <= 768 ? 0.5 : 0.6; // End small
+        
         // First fade out content and close button
         tl.to([this.closeButton, this.content], {
             opacity: 0,
@@ -402,9 +804,6 @@ export class DetailView {
             ease: 'power2.inOut',
             onUpdate: () => this.camera.updateProjectionMatrix()
         }, 0);
-        
-        document.removeEventListener('keydown', this.escHandler);
-        window.removeEventListener('resize', this.resizeHandler);
     }
 
     dispose() {
@@ -429,7 +828,9 @@ export class DetailView {
             this.closeButton.parentNode.removeChild(this.closeButton);
         }
         
-        document.removeEventListener('keydown', this.escHandler);
+        document.removeEventListener('keydown', this.ratingKeyHandler);
+        document.removeEventListener('keydown', this.focusTrapHandler);
         window.removeEventListener('resize', this.resizeHandler);
+        this.returnFocus = null;
     }
 }
@@ -0,0 +1,309 @@
+import * as THREE from 'three';
+import { prefersReducedMotion } from '../core/MotionPreference.js';
+import { FRAME_LOOKS, DEFAULT_FRAME_LOOK } from '../core/FrameLook.js';
+
+// Film effect strengths. Inactive frames end up at INACTIVE_BRIGHTNESS with
+// INACTIVE_DESATURATION of their color gone, sampled INACTIVE_SOFTNESS mip levels softer;
+// halation is taken from HALATION_BIAS mip levels softer. FrameAtlas pads each frame
+// enough for these biases not to reach the neighbouring frames.
+export const FILM = {
+    GRAIN: 0.05,
+    HALATION: 0.2,
+    HALATION_BIAS: 2.0,
+    VIGNETTE: 0.3,
+    INACTIVE_DESATURATION: 0.85,
+    INACTIVE_BRIGHTNESS: 0.45,
+    INACTIVE_SOFTNESS: 2.0,
+    PAPER_GRAIN: 0.03,
+    PAPER_VIGNETTE: 0.25,
+    // Seconds to cross-fade between the looks
+    LOOK_DURATION: 0.6
+};
+
+const filmFunctions = `
+    float luminance(vec3 color) {
+        return dot(color, vec3(0.2126, 0.7152, 0.0722));
+    }
+
+    float random(vec2 point) {
+        return fract(sin(dot(point, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+
+    // Screen-space grain, so it stays fine at any zoom
+    vec3 addGrain(vec3 color, float amount) {
+        return color + (random(gl_FragCoord.xy + time) - 0.5) * amount;
+    }
+
+    // Darken towards the corners of uv's 0-1 square
+    vec3 addVignette(vec3 color, vec2 uv, float amount) {
+        vec2 centered = uv - 0.5;
+        return color * (1.0 - amount * smoothstep(0.2, 0.75, dot(centered, centered) * 2.0));
+    }
+`;
+
+// Frames: instanced from the atlas (SheetFrames), or a single full-resolution copy
+const frameVertexShader = `
+    #ifdef USE_INSTANCING
+        attribute vec4 instanceUv;
+        attribute float instanceBrightness;
+        attribute float instanceOpacity;
+    #else
+        uniform float frameBrightness;
+        uniform float frameOpacity;
+    #endif
+
+    varying vec2 vUv;
+    varying vec2 vFrameUv;
+    varying float vBrightness;
+    varying float vOpacity;
+
+    void main() {
+        vFrameUv = uv;
+
+        #ifdef USE_INSTANCING
+            vUv = instanceUv.xy + uv * instanceUv.zw;
+            vBrightness = instanceBrightness;
+            vOpacity = instanceOpacity;
+            gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+        #else
+            vUv = uv;
+            vBrightness = frameBrightness;
+            vOpacity = frameOpacity;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        #endif
+    }
+`;
+
+const frameFragmentShader = `
+    uniform sampler2D map;
+    uniform float dimmed;
+
+    #ifdef FILM
+        uniform float filmAmount;
+        uniform float time;
+        uniform float grain;
+        uniform float halation;
+        uniform float halationBias;
+        uniform float vignette;
+        uniform float desaturation;
+        uniform float softness;
+        uniform float inactiveBrightness;
+
+        ${filmFunctions}
+    #endif
+
+    varying vec2 vUv;
+    varying vec2 vFrameUv;
+    varying float vBrightness;
+    varying float vOpacity;
+
+    void main() {
+        #ifdef FILM
+            // 0 for an active frame, 1 for a fully dimmed one
+            float inactive = clamp((1.0 - vBrightness) / (1.0 - dimmed), 0.0, 1.0) * filmAmount;
+
+            vec4 texel = texture2D(map, vUv, inactive * softness);
+            vec3 color = texel.rgb;
+
+            // Halation: a warm glow around highlights, taken from a blurrier mip level
+            vec3 blurred = texture2D(map, vUv, halationBias).rgb;
+            color += halation * filmAmount * smoothstep(0.65, 1.0, luminance(blurred)) * vec3(1.0, 0.4, 0.2);
+
+            // Inactive frames fade towards a soft grey print instead of going black
+            color = mix(color, vec3(luminance(color)), inactive * desaturation);
+            color *= mix(1.0, inactiveBrightness, inactive);
+
+            color = addVignette(color, vFrameUv, vignette * filmAmount);
+            color = addGrain(color, grain * filmAmount);
+
+            // Part way to the plain look, dim the plain way too
+            color *= mix(vBrightness, 1.0, filmAmount);
+        #else
+            vec4 texel = texture2D(map, vUv);
+            vec3 color = texel.rgb * vBrightness;
+        #endif
+
+        gl_FragColor = vec4(color, texel.a * vOpacity);
+
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
+
+const paperVertexShader = `
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const paperFragmentShader = `
+    uniform sampler2D map;
+    uniform float filmAmount;
+    uniform float time;
+    uniform float grain;
+    uniform float vignette;
+
+    ${filmFunctions}
+
+    varying vec2 vUv;
+
+    void main() {
+        vec3 color = texture2D(map, vUv).rgb;
+        color = addVignette(color, vUv, vignette * filmAmount);
+        color = addGrain(color, grain * filmAmount);
+
+        gl_FragColor = vec4(color, 1.0);
+
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
+
+// Material for frames: instanced (SheetFrames' atlas pages) or a single mesh, whose
+// brightness and opacity are then the frameBrightness and frameOpacity uniforms.
+// dimmed is the brightness of a fully inactive frame.
+export function createFrameMaterial(map, filmLook, dimmed) {
+    const isFilm = filmLook.look === FRAME_LOOKS.FILM;
+
+    const uniforms = {
+        map: { value: map },
+        dimmed: { value: dimmed },
+        frameBrightness: { value: 1 },
+        frameOpacity: { value: 1 }
+    };
+
+    if (isFilm) {
+        Object.assign(uniforms, {
+            filmAmount: filmLook.amount,
+            time: filmLook.time,
+            grain: { value: FILM.GRAIN },
+            halation: { value: FILM.HALATION },
+            halationBias: { value: FILM.HALATION_BIAS },
+            vignette: { value: FILM.VIGNETTE },
+            desaturation: { value: FILM.INACTIVE_DESATURATION },
+            softness: { value: FILM.INACTIVE_SOFTNESS },
+            inactiveBrightness: { value: FILM.INACTIVE_BRIGHTNESS }
+        });
+    }
+
+    return new THREE.ShaderMaterial({
+        uniforms,
+        defines: isFilm ? { FILM: '' } : {},
+        vertexShader: frameVertexShader,
+        fragmentShader: frameFragmentShader,
+        transparent: true,
+        // The grain's hash needs full precision
+        precision: isFilm ? 'highp' : null
+    });
+}
+
+// Material for the sheet paper: grain and vignette in the film look, otherwise the
+// plain textured material it has always had
+export function createPaperMaterial(map, filmLook) {
+    if (filmLook.look !== FRAME_LOOKS.FILM) {
+        return new THREE.MeshBasicMaterial({
+            map,
+            side: THREE.FrontSide
+        });
+    }
+
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            map: { value: map },
+            filmAmount: filmLook.amount,
+            time: filmLook.time,
+            grain: { value: FILM.PAPER_GRAIN },
+            vignette: { value: FILM.PAPER_VIGNETTE }
+        },
+        vertexShader: paperVertexShader,
+        fragmentShader: paperFragmentShader,
+        precision: 'highp'
+    });
+}
+
+// The texture a frame or paper material draws, whichever look it was made for
+export function getMaterialMap(material) {
+    return material.uniforms ? material.uniforms.map.value : material.map;
+}
+
+// The current look, shared by every film material through the filmAmount and time
+// uniforms. set() cross-fades the film effects with GSAP; materials are rebuilt for the
+// new look (callbacks added with onChange) once the film effects are fully on or off.
+export class FilmLook {
+    constructor(look = DEFAULT_FRAME_LOOK) {
+        // The look materials are built for, and the one being faded to
+        this.look = look;
+        this.target = look;
+        this.amount = { value: look === FRAME_LOOKS.FILM ? 1 : 0 };
+        this.time = { value: 0 };
+        this.tween = null;
+        this.listeners = new Set();
+    }
+
+    // Call listener(look) whenever materials need rebuilding; returns a function to stop
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    set(look, duration = 0) {
+        if (look === this.target) return;
+        this.target = look;
+
+        if (this.tween) {
+            this.tween.kill();
+            this.tween = null;
+        }
+
+        if (look === FRAME_LOOKS.FILM && this.look !== look) {
+            // Build the film materials with the effects off, then bring them in
+            this.look = look;
+            this.amount.value = duration > 0 ? 0 : 1;
+            this.notifyChange();
+        }
+
+        const amount = look === FRAME_LOOKS.FILM ? 1 : 0;
+
+        // Plain materials replace the film ones once the effects are gone
+        const onComplete = () => {
+            this.tween = null;
+            if (this.look !== look) {
+                this.look = look;
+                this.notifyChange();
+            }
+        };
+
+        if (duration <= 0) {
+            this.amount.value = amount;
+            onComplete();
+            return;
+        }
+
+        this.tween = gsap.to(this.amount, {
+            value: amount,
+            duration,
+            ease: "power1.inOut",
+            onComplete
+        });
+    }
+
+    notifyChange() {
+        this.listeners.forEach(listener => listener(this.look));
+    }
+
+    // Advance the grain; reduced motion keeps it still
+    update(seconds) {
+        this.time.value = prefersReducedMotion() ? 0 : seconds % 1000;
+    }
+
+    dispose() {
+        if (this.tween) {
+            this.tween.kill();
+            this.tween = null;
+        }
+        this.listeners.clear();
+    }
+}
@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+import { estimateTextureBytes } from '../core/TextureCache.js';
+import { FILM } from './FilmMaterial.js';
+
+// Extra mip levels the film shader samples at (FilmMaterial); each one doubles the
+// texels a sample covers, so the padding has to grow with it
+const MAX_MIP_BIAS = Math.max(FILM.INACTIVE_SOFTNESS, FILM.HALATION_BIAS);
+
+// Atlas layout: square pages of PAGE_SIZE pixels split into CELL_SIZE slots. Each frame is
+// scaled to fit its slot; PADDING pixels of stretched edge around it keep mipmapped
+// sampling from bleeding into the neighbouring frame. 4096 pixels is within the texture
+// size limit of practically every WebGL2 device.
+export const ATLAS = {
+    PAGE_SIZE: 4096,
+    CELL_SIZE: 512,
+    PADDING: 4 * 2 ** MAX_MIP_BIAS
+};
+
+// Fill for frames whose image couldn't be loaded, and its label text
+const PLACEHOLDER_COLOR = 'rgba(51, 51, 51, 0.8)';
+const PLACEHOLDER_LABEL_COLOR = 'rgba(255, 255, 255, 0.8)';
+const PLACEHOLDER_LABEL_FONT = '28px "Source Code Pro", Menlo, Monaco, Consolas, monospace';
+
+// Packs frame images into one or more canvas textures, one slot per frame index.
+// Pages are sized for the frames they hold, so a small sheet only needs part of a page.
+// With a renderer, a changed slot is uploaded on its own (updateSlot) rather than the
+// whole page.
+export class FrameAtlas {
+    constructor(slotCount, renderer = null) {
+        this.perRow = Math.floor(ATLAS.PAGE_SIZE / ATLAS.CELL_SIZE);
+        this.perPage = this.perRow * this.perRow;
+        this.pages = [];
+        this.renderer = renderer;
+
+        // One slot's pixels, copied from its page for uploading
+        this.cellCanvas = document.createElement('canvas');
+        this.cellCanvas.width = ATLAS.CELL_SIZE;
+        this.cellCanvas.height = ATLAS.CELL_SIZE;
+        this.cellContext = this.cellCanvas.getContext('2d');
+        this.cellTexture = new THREE.CanvasTexture(this.cellCanvas);
+        this.cellPosition = new THREE.Vector2();
+
+        for (let first = 0; first < slotCount; first += this.perPage) {
+            const count = Math.min(this.perPage, slotCount - first);
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.min(count, this.perRow) * ATLAS.CELL_SIZE;
+            canvas.height = Math.ceil(count / this.perRow) * ATLAS.CELL_SIZE;
+
+            const texture = new THREE.CanvasTexture(canvas);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            texture.minFilter = THREE.LinearMipmapLinearFilter;
+
+            this.pages.push({ canvas, context: canvas.getContext('2d'), texture });
+        }
+    }
+
+    getPageIndex(slot) {
+        return Math.floor(slot / this.perPage);
+    }
+
+    // Top-left corner of a slot on its page, in canvas pixels
+    getSlotOrigin(slot) {
+        const index = slot % this.perPage;
+        return {
+            x: (index % this.perRow) * ATLAS.CELL_SIZE,
+            y: Math.floor(index / this.perRow) * ATLAS.CELL_SIZE
+        };
+    }
+
+    // Draw a frame image into its slot and return the region it covers as
+    // { x, y, width, height } in texture coordinates
+    draw(slot, image) {
+        const page = this.pages[this.getPageIndex(slot)];
+        const origin = this.getSlotOrigin(slot);
+        const inner = ATLAS.CELL_SIZE - ATLAS.PADDING * 2;
+
+        const fitScale = Math.min(inner / image.width, inner / image.height);
+        const width = Math.round(image.width * fitScale);
+        const height = Math.round(image.height * fitScale);
+        const x = origin.x + Math.round((ATLAS.CELL_SIZE - width) / 2);
+        const y = origin.y + Math.round((ATLAS.CELL_SIZE - height) / 2);
+
+        const { context } = page;
+        context.clearRect(origin.x, origin.y, ATLAS.CELL_SIZE, ATLAS.CELL_SIZE);
+        context.drawImage(image, x - ATLAS.PADDING, y - ATLAS.PADDING, width + ATLAS.PADDING * 2, height + ATLAS.PADDING * 2);
+        context.drawImage(image, x, y, width, height);
+        this.updateSlot(page, origin);
+
+        return this.getRegion(page, x, y, width, height);
+    }
+
+    // Fill a slot with the placeholder color, for a frame that failed to load, with an
+    // optional label (e.g. "Tap to retry"). The region has the frame's aspect ratio
+    // (width / height) so the label isn't stretched on the sheet.
+    drawPlaceholder(slot, aspect = 1, label = null) {
+        const page = this.pages[this.getPageIndex(slot)];
+        const origin = this.getSlotOrigin(slot);
+        const inner = ATLAS.CELL_SIZE - ATLAS.PADDING * 2;
+
+        const width = Math.round(aspect >= 1 ? inner : inner * aspect);
+        const height = Math.round(aspect >= 1 ? inner / aspect : inner);
+        const x = origin.x + Math.round((ATLAS.CELL_SIZE - width) / 2);
+        const y = origin.y + Math.round((ATLAS.CELL_SIZE - height) / 2);
+
+        const { context } = page;
+        context.clearRect(origin.x, origin.y, ATLAS.CELL_SIZE, ATLAS.CELL_SIZE);
+        context.fillStyle = PLACEHOLDER_COLOR;
+        context.fillRect(x - ATLAS.PADDING, y - ATLAS.PADDING, width + ATLAS.PADDING * 2, height + ATLAS.PADDING * 2);
+
+        if (label) {
+            context.fillStyle = PLACEHOLDER_LABEL_COLOR;
+            context.font = PLACEHOLDER_LABEL_FONT;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(label, x + width / 2, y + height / 2, width - ATLAS.PADDING * 4);
+        }
+        this.updateSlot(page, origin);
+
+        return this.getRegion(page, x, y, width, height);
+    }
+
+    // Send a redrawn slot to the GPU. Only its cell is uploaded (texSubImage2D) and the
+    // page's mipmaps regenerated; a page not yet on the GPU is uploaded whole first.
+    // Without a renderer the whole page is uploaded on the next render.
+    updateSlot(page, origin) {
+        if (!this.renderer) {
+            page.texture.needsUpdate = true;
+            return;
+        }
+
+        const size = ATLAS.CELL_SIZE;
+        this.cellContext.clearRect(0, 0, size, size);
+        this.cellContext.drawImage(page.canvas, origin.x, origin.y, size, size, 0, 0, size, size);
+
+        // The upload is flipped (flipY), so rows are counted from the bottom of the page
+        this.cellPosition.set(origin.x, page.canvas.height - origin.y - size);
+        this.renderer.copyTextureToTexture(this.cellTexture, page.texture, null, this.cellPosition);
+    }
+
+    // Canvas rows run top-down but texture coordinates bottom-up (flipY)
+    getRegion(page, x, y, width, height) {
+        return {
+            x: x / page.canvas.width,
+            y: 1 - (y + height) / page.canvas.height,
+            width: width / page.canvas.width,
+            height: height / page.canvas.height
+        };
+    }
+
+    getTexture(pageIndex) {
+        return this.pages[pageIndex].texture;
+    }
+
+    // GPU memory used by all pages
+    getTextureBytes() {
+        return this.pages.reduce((total, page) => total + estimateTextureBytes(page.texture), 0);
+    }
+
+    dispose() {
+        this.pages.forEach(page => {
+            page.texture.dispose();
+            // Let the browser free the canvas backing store
+            page.canvas.width = 0;
+            page.canvas.height = 0;
+        });
+        this.pages = [];
+
+        this.cellTexture.dispose();
+        this.cellCanvas.width = 0;
+        this.cellCanvas.height = 0;
+    }
+}
@@ -0,0 +1,105 @@
+import * as THREE from 'three';
+import { MAX_RATING, getColorLabel } from '../core/FrameRatings.js';
+
+// Badge texture: a slot for the color label above one slot per star
+const SLOT_SIZE = 64;
+const STAR_COLOR = '#ffffff';
+
+// Badge width and gap to the frame, in sheet pixels (narrower in tight gutters)
+const MAX_BADGE_WIDTH = 80;
+const BADGE_GAP_SHARE = 0.3;
+
+// Small rating/label badges drawn in the gutter to the right of each frame
+export class FrameBadges {
+    constructor(scene, layout, z) {
+        this.scene = scene;
+        this.layout = layout;
+        this.z = z;
+        this.badges = new Map();
+    }
+
+    // Show a frame's { rating, label }, removing its badge when it has neither
+    update(row, col, entry) {
+        const key = `${row},${col}`;
+        this.remove(key);
+
+        if (entry.rating === 0 && !entry.label) return;
+
+        const texture = new THREE.CanvasTexture(this.drawBadge(entry));
+        texture.colorSpace = THREE.SRGBColorSpace;
+
+        const width = Math.min(MAX_BADGE_WIDTH, this.layout.horizontalMargin * 0.5);
+        const height = width * (MAX_RATING + 1);
+        const scale = this.layout.scale;
+
+        const mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(width * scale, height * scale),
+            new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false })
+        );
+
+        // Top-aligned with the frame, just past its right edge
+        const position = this.layout.getImagePosition(row, col);
+        const imageSize = this.layout.getImageDimensions();
+        mesh.position.set(
+            position.x + imageSize.width / 2 + (width * BADGE_GAP_SHARE + width / 2) * scale,
+            position.y + imageSize.height / 2 - height * scale / 2,
+            this.z
+        );
+
+        this.scene.add(mesh);
+        this.badges.set(key, mesh);
+    }
+
+    drawBadge({ rating, label }) {
+        const canvas = document.createElement('canvas');
+        canvas.width = SLOT_SIZE;
+        canvas.height = SLOT_SIZE * (MAX_RATING + 1);
+
+        const context = canvas.getContext('2d');
+        const center = SLOT_SIZE / 2;
+
+        const colorLabel = getColorLabel(label);
+        if (colorLabel) {
+            context.fillStyle = colorLabel.color;
+            context.beginPath();
+            context.arc(center, center, SLOT_SIZE * 0.35, 0, Math.PI * 2);
+            context.fill();
+        }
+
+        context.fillStyle = STAR_COLOR;
+        for (let i = 0; i < rating; i++) {
+            drawStar(context, center, SLOT_SIZE * (i + 1) + center, SLOT_SIZE * 0.4);
+        }
+
+        return canvas;
+    }
+
+    remove(key) {
+        const mesh = this.badges.get(key);
+        if (!mesh) return;
+
+        this.scene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.map.dispose();
+        mesh.material.dispose();
+        this.badges.delete(key);
+    }
+
+    dispose() {
+        Array.from(this.badges.keys()).forEach(key => this.remove(key));
+    }
+}
+
+// Five-pointed star centred on (x, y)
+function drawStar(context, x, y, outerRadius) {
+    const innerRadius = outerRadius * 0.45;
+
+    context.beginPath();
+    for (let i = 0; i < 10; i++) {
+        const radius = i % 2 === 0 ? outerRadius : innerRadius;
+        const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+        context.lineTo(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+    }
+    context.closePath();
+    context.fill();
+}
@@ -0,0 +1,40 @@
+import { FRAME_LOOKS } from '../core/FrameLook.js';
+
+// Nav bar switch between the film and plain frame looks (FRAME_LOOKS).
+// callbacks.onChange(look) is called when it is pressed.
+export class FrameLookToggle {
+    constructor(container, look, callbacks = {}) {
+        this.container = container;
+        this.callbacks = callbacks;
+
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'nav-button frame-look-toggle';
+        this.button.textContent = 'Film look';
+        this.button.title = 'Film grain, halation and softly faded inactive frames';
+
+        this.clickHandler = () => {
+            const next = this.look === FRAME_LOOKS.FILM ? FRAME_LOOKS.PLAIN : FRAME_LOOKS.FILM;
+            this.setLook(next);
+            if (this.callbacks.onChange) this.callbacks.onChange(next);
+        };
+        this.button.addEventListener('click', this.clickHandler);
+
+        this.setLook(look);
+        this.container.appendChild(this.button);
+    }
+
+    // Show a look chosen elsewhere, e.g. the plain fallback after a shader error
+    setLook(look) {
+        this.look = look;
+        this.button.setAttribute('aria-pressed', look === FRAME_LOOKS.FILM ? 'true' : 'false');
+    }
+
+    dispose() {
+        this.button.removeEventListener('click', this.clickHandler);
+
+        if (this.button.parentNode) {
+            this.button.parentNode.removeChild(this.button);
+        }
+    }
+}
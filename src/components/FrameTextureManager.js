@@ -0,0 +1,134 @@
+// Level-of-detail settings: frames within NEAR_RADIUS grid cells of the focus frame get
+// their full-resolution texture; those beyond FAR_RADIUS go back to their atlas copy.
+// Outside ZOOMED_IN, full resolution is only fetched once the visible part of the sheet
+// is at most CLOSE_ZOOM of the full-sheet frustum.
+export const LOD = {
+    NEAR_RADIUS: 1,
+    FAR_RADIUS: 2,
+    CLOSE_ZOOM: 0.5,
+    CROSSFADE_DURATION: 0.4
+};
+
+// Shows each frame's full-resolution texture over its atlas copy (SheetFrames) while it is
+// near the focus. The sharper texture fades in once loaded, so there is no pop, and is
+// disposed again when the frame is far from the focus. Textures within NEAR_RADIUS are
+// pinned in the loader's cache; the rest may be evicted to stay within the memory budget
+// (handleEvicted) and are loaded again when their frame comes back into focus.
+export class FrameTextureManager {
+    constructor(imageLoader, frames) {
+        this.imageLoader = imageLoader;
+        this.sheetFrames = frames;
+        this.frames = new Map();
+        this.isDisposed = false;
+    }
+
+    // Track a frame that loaded, with the URL of its full-resolution image
+    register(row, col, fullUrl) {
+        this.frames.set(`${row},${col}`, {
+            row,
+            col,
+            fullUrl,
+            full: null,
+            loading: null,
+            isPinned: false
+        });
+    }
+
+    // Load full resolution around focus ({ row, col }, or null when zoomed out) and release
+    // it from frames beyond FAR_RADIUS; keep ({ row, col }) holds on to one extra frame
+    setFocus(focus, keep = null) {
+        this.frames.forEach(frame => {
+            const distance = focus ? Math.max(Math.abs(frame.row - focus.row), Math.abs(frame.col - focus.col)) : Infinity;
+            const isKept = keep && frame.row === keep.row && frame.col === keep.col;
+
+            if (distance <= LOD.NEAR_RADIUS) {
+                this.loadFull(frame);
+                this.setPinned(frame, true);
+            } else if ((distance > LOD.FAR_RADIUS || !focus) && !isKept) {
+                this.releaseFull(frame);
+            } else {
+                this.setPinned(frame, false);
+            }
+        });
+    }
+
+    // Fetch one frame's full resolution, e.g. for the frame under the loupe
+    load(row, col) {
+        const frame = this.frames.get(`${row},${col}`);
+        if (frame) {
+            this.loadFull(frame);
+        }
+    }
+
+    loadFull(frame) {
+        if (frame.full || frame.loading) return;
+
+        const loading = this.imageLoader.loadTextureWithProperEncoding(frame.fullUrl);
+        frame.loading = loading;
+
+        loading
+            .then(texture => {
+                // Released or torn down while loading
+                if (this.isDisposed) return;
+                if (frame.loading !== loading) {
+                    if (!frame.full && !frame.loading) {
+                        this.imageLoader.releaseTexture(frame.fullUrl);
+                    }
+                    return;
+                }
+
+                frame.loading = null;
+                frame.full = texture;
+                this.setPinned(frame, true);
+                this.sheetFrames.setDetailTexture(frame.row, frame.col, texture, LOD.CROSSFADE_DURATION);
+            })
+            .catch(() => {
+                // Keep the atlas copy; a later focus change tries again
+                if (frame.loading === loading) {
+                    frame.loading = null;
+                }
+            });
+    }
+
+    setPinned(frame, isPinned) {
+        if (!frame.full || frame.isPinned === isPinned) return;
+
+        frame.isPinned = isPinned;
+        if (isPinned) {
+            this.imageLoader.pinTexture(frame.fullUrl);
+        } else {
+            this.imageLoader.unpinTexture(frame.fullUrl);
+        }
+    }
+
+    // The loader evicted (and disposed) a full-resolution texture: fall back to the
+    // atlas copy until the frame is in focus again
+    handleEvicted(url) {
+        this.frames.forEach(frame => {
+            if (frame.fullUrl !== url || !frame.full) return;
+
+            this.sheetFrames.removeDetailTexture(frame.row, frame.col);
+            frame.full = null;
+            frame.isPinned = false;
+        });
+    }
+
+    // Back to the atlas copy. Only frames far from the camera are released, where the
+    // difference can't be seen.
+    releaseFull(frame) {
+        frame.loading = null;
+
+        if (!frame.full) return;
+
+        this.setPinned(frame, false);
+        this.sheetFrames.removeDetailTexture(frame.row, frame.col);
+        this.imageLoader.releaseTexture(frame.fullUrl);
+        frame.full = null;
+    }
+
+    dispose() {
+        this.isDisposed = true;
+        this.frames.forEach(frame => this.releaseFull(frame));
+        this.frames.clear();
+    }
+}
@@ -48,7 +48,9 @@ export class GestureManager {
         this.hammer.on('pinchstart', this.handlePinchStart.bind(this));
         this.hammer.on('pinchin', this.handlePinchIn.bind(this));
         this.hammer.on('pinchout', this.handlePinchOut.bind(this));
+        this.hammer.on('pinchmove', this.handlePinchMove.bind(this));
         this.hammer.on('pinchend', this.handlePinchEnd.bind(this));
+        this.hammer.on('pinchcancel', this.handlePinchEnd.bind(this));
     }
     
     disableNativeTouchBehaviors() {
@@ -115,6 +117,12 @@ export class GestureManager {
         }
     }
     
+    handlePinchMove(event) {
+        if (this.callbacks.onPinchMove) {
+            this.callbacks.onPinchMove(event);
+        }
+    }
+    
     handlePinchIn(event) {
         if (this.callbacks.onPinchIn) {
             this.callbacks.onPinchIn(event);
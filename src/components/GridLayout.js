@@ -1,27 +1,109 @@
+// Default layout, matching images/contact-sheet-placeholder.jpg
+export const DEFAULT_LAYOUT = {
+    // Contact sheet dimensions
+    sheetWidth: 5685,
+    sheetHeight: 6100,
+    
+    // Individual image dimensions
+    imageWidth: 600,
+    imageHeight: 900,
+    
+    // Grid spacing
+    horizontalMargin: 315,
+    verticalMargin: 40,
+    
+    // First image position
+    firstImageX: 250,
+    firstImageY: 250,
+    
+    // Grid dimensions
+    rows: 6,
+    columns: 6,
+    
+    // Sheet size in scene units: the width is fixed, and the height limit
+    // keeps tall sheets inside the 4-unit full-sheet frustum
+    sceneWidth: 3.5,
+    maxSceneHeight: 3.8
+};
+
+// Options that change the grid geometry (and so the size of a derived sheet)
+const GRID_OPTIONS = ['imageWidth', 'imageHeight', 'horizontalMargin', 'verticalMargin', 'firstImageX', 'firstImageY', 'rows', 'columns'];
+
 export class GridLayout {
-    constructor() {
-        // Contact sheet dimensions
-        this.sheetWidth = 5685;
-        this.sheetHeight = 6100;
+    constructor(options = {}) {
+        const config = { ...DEFAULT_LAYOUT, ...options };
         
         // Individual image dimensions
-        this.imageWidth = 600;
-        this.imageHeight = 900;
+        this.imageWidth = config.imageWidth;
+        this.imageHeight = config.imageHeight;
         
         // Grid spacing
-        this.horizontalMargin = 315;
-        this.verticalMargin = 40;
+        this.horizontalMargin = config.horizontalMargin;
+        this.verticalMargin = config.verticalMargin;
         
         // First image position
-        this.firstImageX = 250;
-        this.firstImageY = 250;
+        this.firstImageX = config.firstImageX;
+        this.firstImageY = config.firstImageY;
         
         // Grid dimensions
-        this.rows = 6;
-        this.columns = 6;
+        this.rows = config.rows;
+        this.columns = config.columns;
+        
+        // Number of cells holding an image - the last row may be partially filled
+        const capacity = this.rows * this.columns;
+        this.imageCount = options.imageCount !== undefined ? Math.min(options.imageCount, capacity) : capacity;
+        
+        // Contact sheet dimensions - a custom grid without an explicit sheet size gets
+        // a sheet that fits it, with the first image offset as the outer margin
+        const isCustomGrid = GRID_OPTIONS.some(key => options[key] !== undefined);
+        this.sheetWidth = options.sheetWidth !== undefined || !isCustomGrid
+            ? config.sheetWidth
+            : 2 * this.firstImageX + this.columns * this.imageWidth + (this.columns - 1) * this.horizontalMargin;
+        this.sheetHeight = options.sheetHeight !== undefined || !isCustomGrid
+            ? config.sheetHeight
+            : 2 * this.firstImageY + this.rows * this.imageHeight + (this.rows - 1) * this.verticalMargin;
         
         // Calculate scale factor to normalize coordinates
-        this.scale = 3.5 / this.sheetWidth; // Base scale on width
+        this.scale = Math.min(config.sceneWidth / this.sheetWidth, config.maxSceneHeight / this.sheetHeight);
+    }
+    
+    // Build a layout from a sheet manifest's optional "layout" section.
+    // Without an explicit row count, rows grow to fit every frame.
+    static fromManifest(manifest) {
+        const options = { ...(manifest.layout || {}) };
+        const imageCount = manifest.frames.length;
+        
+        if (options.rows === undefined) {
+            const columns = options.columns !== undefined ? options.columns : DEFAULT_LAYOUT.columns;
+            const rows = Math.max(1, Math.ceil(imageCount / columns));
+            
+            // Frames that fit the default grid keep its sheet, which matches the placeholder background
+            if (options.columns !== undefined || rows > DEFAULT_LAYOUT.rows) {
+                options.rows = rows;
+            }
+        }
+        
+        return new GridLayout({ ...options, imageCount });
+    }
+    
+    // Whether a grid cell exists and holds an image
+    hasImage(row, col) {
+        return row >= 0 && row < this.rows &&
+               col >= 0 && col < this.columns &&
+               row * this.columns + col < this.imageCount;
+    }
+    
+    // Number of rows that hold at least one image
+    getFilledRows() {
+        return Math.ceil(this.imageCount / this.columns);
+    }
+    
+    // Cell under a point on the sheet in sheet pixels (may be outside the grid)
+    getCellAtSheetPoint(pixelX, pixelY) {
+        return {
+            row: Math.floor((pixelY - this.firstImageY) / (this.imageHeight + this.verticalMargin)),
+            col: Math.floor((pixelX - this.firstImageX) / (this.imageWidth + this.horizontalMargin))
+        };
     }
     
     getImagePosition(row, col) {
@@ -46,6 +128,29 @@ export class GridLayout {
         };
     }
     
+    // Footprint of an image inside its cell, in sheet pixels, preserving its aspect ratio.
+    // 'letterbox' scales the image to fit the cell; 'rotate' first turns frames whose
+    // orientation doesn't match the cell by 90 degrees, like a real contact sheet.
+    getFrameBounds(pixelWidth, pixelHeight, fit = 'letterbox') {
+        if (!pixelWidth || !pixelHeight) {
+            return { width: this.imageWidth, height: this.imageHeight, rotated: false };
+        }
+        
+        const cellIsPortrait = this.imageHeight >= this.imageWidth;
+        const imageIsPortrait = pixelHeight >= pixelWidth;
+        const rotated = fit === 'rotate' && cellIsPortrait !== imageIsPortrait;
+        
+        const width = rotated ? pixelHeight : pixelWidth;
+        const height = rotated ? pixelWidth : pixelHeight;
+        const fitScale = Math.min(this.imageWidth / width, this.imageHeight / height);
+        
+        return {
+            width: width * fitScale,
+            height: height * fitScale,
+            rotated
+        };
+    }
+    
     getImageDimensions() {
         return {
             width: this.imageWidth * this.scale,
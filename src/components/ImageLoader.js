@@ -1,37 +1,20 @@
 import * as THREE from 'three';
+import { loadSheetManifest, getManifestUrl } from '../core/SheetManifest.js';
+import { parseJpegMetadata } from '../core/JpegMetadata.js';
 
 export class ImageLoader {
-    constructor() {
-        this.textureLoader = new THREE.TextureLoader();
-        this.textureCache = new Map(); // Add a cache for textures
+    // Textures and manifests are loaded through assetLoader (AssetLoader), which reports
+    // progress and keeps the texture cache within its memory budget
+    constructor(assetLoader) {
+        this.assetLoader = assetLoader;
+        this.textureCache = assetLoader.cache;
+        this.manifestCache = new Map(); // Validated sheet manifests by sheet ID
+        this.metadataCache = new Map(); // Parsed EXIF/IPTC/XMP metadata by URL
     }
     
-    // Helper method to load textures with proper encoding
+    // Helper method to load textures with proper encoding (sRGB), cached by the asset loader
     loadTextureWithProperEncoding(url) {
-        // Check if the texture is already in the cache
-        if (this.textureCache.has(url)) {
-            return Promise.resolve(this.textureCache.get(url));
-        }
-        
-        return new Promise((resolve, reject) => {
-            this.textureLoader.load(
-                url,
-                (texture) => {
-                    // Use modern colorSpace property instead of encoding
-                    texture.colorSpace = THREE.SRGBColorSpace;
-                    
-                    // Store in cache for future use
-                    this.textureCache.set(url, texture);
-                    
-                    resolve(texture);
-                },
-                undefined,
-                (error) => {
-                    // Error occurred during texture loading
-                    reject(error);
-                }
-            );
-        });
+        return this.assetLoader.loadTexture(url);
     }
     
     // Get a cached DOM image from a texture URL
@@ -62,65 +45,74 @@ export class ImageLoader {
         });
     }
     
+    // Parse the capture metadata of a JPEG, once per URL. The bytes are shared with a
+    // texture download still in progress, and never make a texture of their own.
+    getImageMetadata(url) {
+        if (this.metadataCache.has(url)) {
+            return this.metadataCache.get(url);
+        }
+        
+        const metadataPromise = this.assetLoader.loadBytes(url)
+            .then(buffer => parseJpegMetadata(buffer))
+            .catch(error => {
+                // Allow a later request to try again
+                this.metadataCache.delete(url);
+                throw error;
+            });
+        
+        this.metadataCache.set(url, metadataPromise);
+        
+        return metadataPromise;
+    }
+    
+    // Dispose a cached texture and drop it from the cache, e.g. a full-resolution
+    // frame far from the camera
+    releaseTexture(url) {
+        const texture = this.textureCache.get(url);
+        if (!texture) return;
+        
+        texture.dispose();
+        this.textureCache.delete(url);
+    }
+    
+    // Keep a texture that is on screen from being evicted, until unpinTexture
+    pinTexture(url) {
+        this.textureCache.pin(url);
+    }
+    
+    unpinTexture(url) {
+        this.textureCache.unpin(url);
+    }
+    
+    // Texture memory usage: { count, bytes, budget, peakBytes, pinnedCount, pinnedBytes, evictions }
+    getTextureStats() {
+        return this.textureCache.getStats();
+    }
+    
     // Clear the texture cache
     clearCache() {
-        // Dispose of all textures to free memory
-        this.textureCache.forEach(texture => {
-            if (texture.dispose) {
-                texture.dispose();
-            }
-        });
-        
-        // Clear the cache
-        this.textureCache.clear();
+        // Dispose of all textures to free memory, then clear the caches
+        this.assetLoader.clearCache();
+        this.manifestCache.clear();
+        this.metadataCache.clear();
     }
     
-    // Get image files for a specific sheet
-    async getSheetImageFiles(sheetId) {
-        // For now, return hardcoded list of files based on sheet ID
-        if (sheetId === 'sheet_one') {
-            return [
-                'Admiralteyskaya.jpg',
-                'Andel.jpg',  // Renamed from Andĕl.jpg
-                'Avtovo.jpg',
-                'Bikás park-portrait.jpg',
-                'Bukharestskaya-portrait.jpg',
-                'Florenc.jpg',
-                'Fővám tér.jpg',
-                'II. János Pál pápa tér-portrait.jpg',
-                'Kálvin tér átszállóalagút-1.jpg',
-                'Kálvin tér átszállóalagút-2.jpg',
-                'Kálvin tér M3 átszállóalagút-portrait.jpg',
-                'Kálvin tér M3.jpg',
-                'Kálvin tér M4.jpg',
-                'Karlovo náměstí.jpg',
-                'Keleti pályaudvar.jpg',
-                'Kirovsky Zavod-portrait.jpg',
-                'Komendantsky Prospekt.jpg',
-                'Krestovsky Ostrov.jpg',
-                'Malostranská.jpg',
-                'Mezhdunarodnaya.jpg',
-                'Nagyvárad tér-portrait.jpg',
-                'Národní třída-1.jpg',
-                'Národní třída-2.jpg',
-                'Narvskaya.jpg',
-                'Obvodny Kanal-portrait.jpg',
-                'Rådhuset.jpg',
-                'Staraya Derevnya.jpg',
-                'Staroměstská-1.jpg',
-                'Staroměstská-2.jpg',
-                'Szent Gellért tér-1.jpg',
-                'Szent Gellért tér-2.jpg',
-                'T-Centralen.jpg',
-                'Újbuda-központ-1.jpg',
-                'Ujbuda-kozpont-2.jpg',  // Renamed from Újbuda-központ-2.jpg
-                'Volkovskaya.jpg',
-                'Zvenigorodskaya.jpg'
-            ];
+    // Load and validate the manifest describing a sheet's frames
+    async getSheetManifest(sheetId) {
+        if (this.manifestCache.has(sheetId)) {
+            return this.manifestCache.get(sheetId);
         }
         
-        // In a real application, this could fetch from an API or dynamically from the server
-        return [];
+        const manifest = await this.assetLoader.track(getManifestUrl(sheetId), loadSheetManifest(sheetId));
+        this.manifestCache.set(sheetId, manifest);
+        
+        return manifest;
+    }
+    
+    // Get image files for a specific sheet, in manifest order
+    async getSheetImageFiles(sheetId) {
+        const manifest = await this.getSheetManifest(sheetId);
+        return manifest.frames.map(frame => frame.file);
     }
     
     // Create an image mesh with the given parameters
@@ -0,0 +1,85 @@
+// Arrow key directions as grid steps
+const DIRECTIONS = {
+    ArrowUp: { row: -1, col: 0 },
+    ArrowDown: { row: 1, col: 0 },
+    ArrowLeft: { row: 0, col: -1 },
+    ArrowRight: { row: 0, col: 1 }
+};
+
+const ACTIVATE_KEYS = ['Enter', ' '];
+const BACK_KEYS = ['Escape', '-'];
+const LOUPE_KEYS = ['l', 'L'];
+const MARKUP_KEYS = ['m', 'M'];
+
+// Play/pause the slideshow; exported so other input doesn't count as interrupting it
+export const SLIDESHOW_KEYS = ['p', 'P'];
+
+// 0–5 rate the current frame, 6–9 toggle its color label
+const RATING_KEYS = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+// Keys on these elements belong to them (e.g. Space on a nav button)
+const INTERACTIVE_SELECTOR = 'button, a[href], input, select, textarea, [contenteditable="true"]';
+
+// Frame buttons in the screen-reader mirror pass navigation keys on to the sheet,
+// but Enter and Space still click them
+const SHEET_KEYS_SELECTOR = '[data-sheet-keys]';
+
+// Controls in the detail view pass Escape and minus on, so they close it
+const BACK_KEYS_SELECTOR = '[data-back-keys]';
+
+export class KeyboardManager {
+    constructor(element, callbacks) {
+        this.element = element;
+        this.callbacks = callbacks;
+
+        this.keyDownHandler = this.handleKeyDown.bind(this);
+        this.element.addEventListener('keydown', this.keyDownHandler);
+    }
+
+    handleKeyDown(event) {
+        if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+
+        const target = event.target;
+        if (target && target.closest && target.closest(INTERACTIVE_SELECTOR)) {
+            const passesKey = target.closest(SHEET_KEYS_SELECTOR)
+                ? !ACTIVATE_KEYS.includes(event.key)
+                : Boolean(target.closest(BACK_KEYS_SELECTOR)) && BACK_KEYS.includes(event.key);
+            if (!passesKey) return;
+        }
+
+        let callback = null;
+        let args = [event];
+
+        if (DIRECTIONS[event.key]) {
+            callback = this.callbacks.onMove;
+            args = [DIRECTIONS[event.key], event];
+        } else if (ACTIVATE_KEYS.includes(event.key)) {
+            callback = this.callbacks.onActivate;
+        } else if (BACK_KEYS.includes(event.key)) {
+            callback = this.callbacks.onBack;
+        } else if (event.key === 'Home') {
+            callback = this.callbacks.onFirst;
+        } else if (event.key === 'End') {
+            callback = this.callbacks.onLast;
+        } else if (LOUPE_KEYS.includes(event.key)) {
+            callback = this.callbacks.onToggleLoupe;
+        } else if (MARKUP_KEYS.includes(event.key)) {
+            callback = this.callbacks.onToggleMarkup;
+        } else if (SLIDESHOW_KEYS.includes(event.key)) {
+            callback = this.callbacks.onToggleSlideshow;
+        } else if (RATING_KEYS.includes(event.key)) {
+            callback = this.callbacks.onRatingKey;
+            args = [event.key, event];
+        }
+
+        if (!callback) return;
+
+        // Keep arrows and Space from scrolling the page
+        event.preventDefault();
+        callback(...args);
+    }
+
+    dispose() {
+        this.element.removeEventListener('keydown', this.keyDownHandler);
+    }
+}
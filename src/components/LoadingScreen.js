@@ -0,0 +1,69 @@
+// Loading screen for a sheet: the site name, the sheet title and a progress bar.
+// It covers the page until the sheet itself is drawn, then shrinks to a bar along the
+// top while the frames fade in, and goes once they're all in.
+export class LoadingScreen {
+    constructor(container, brand) {
+        this.container = container;
+
+        this.element = document.createElement('div');
+        this.element.className = 'loading-screen is-hidden';
+
+        const title = document.createElement('div');
+        title.className = 'loading-brand';
+        title.textContent = brand;
+
+        this.caption = document.createElement('div');
+        this.caption.className = 'loading-caption';
+
+        this.bar = document.createElement('div');
+        this.bar.className = 'loading-bar';
+        this.bar.setAttribute('role', 'progressbar');
+        this.bar.setAttribute('aria-valuemin', '0');
+        this.bar.setAttribute('aria-valuemax', '100');
+
+        this.fill = document.createElement('div');
+        this.fill.className = 'loading-bar-fill';
+        this.bar.appendChild(this.fill);
+
+        this.element.appendChild(title);
+        this.element.appendChild(this.caption);
+        this.element.appendChild(this.bar);
+
+        this.container.appendChild(this.element);
+    }
+
+    // Start over for a sheet, full screen with an empty bar
+    show(title) {
+        this.caption.textContent = title;
+        this.bar.setAttribute('aria-label', `Loading ${title}`);
+        this.element.classList.remove('is-hidden', 'is-compact');
+        this.setProgress(0);
+    }
+
+    // Reflect ContactSheet's onLoadProgress: { stage, loaded, total }
+    update({ stage, loaded = 0, total = 0 }) {
+        if (stage === 'done' || stage === 'failed') {
+            this.hide();
+            return;
+        }
+
+        this.element.classList.toggle('is-compact', stage === 'frames');
+        this.setProgress(total > 0 ? loaded / total : 0);
+    }
+
+    setProgress(fraction) {
+        const percent = Math.round(Math.min(1, Math.max(0, fraction)) * 100);
+        this.fill.style.transform = `scaleX(${percent / 100})`;
+        this.bar.setAttribute('aria-valuenow', String(percent));
+    }
+
+    hide() {
+        this.element.classList.add('is-hidden');
+    }
+
+    dispose() {
+        if (this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
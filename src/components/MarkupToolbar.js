@@ -0,0 +1,140 @@
+// Tools offered while marking up, in toolbar order
+const TOOLS = [
+    { tool: 'pen', label: 'Pen' },
+    { tool: 'circle', label: 'Circle' },
+    { tool: 'cross', label: 'X' }
+];
+
+// How long an import error stays on screen
+const MESSAGE_DURATION = 4000;
+
+// Controls for grease-pencil markup: a toggle for markup mode, show/hide for existing
+// marks and, while markup mode is on, tools, undo/redo, export/import and clear
+export class MarkupToolbar {
+    constructor(container, callbacks) {
+        this.container = container;
+        this.callbacks = callbacks;
+        this.buttons = new Map();
+        this.messageTimer = null;
+
+        this.element = document.createElement('div');
+        this.element.className = 'markup-toolbar';
+        this.element.setAttribute('role', 'toolbar');
+        this.element.setAttribute('aria-label', 'Markup');
+
+        this.addButton('toggle', 'Mark up');
+        this.addButton('visibility', 'Hide marks');
+
+        this.tools = document.createElement('div');
+        this.tools.className = 'markup-tools';
+        TOOLS.forEach(({ tool, label }) => this.addButton(`tool:${tool}`, label, this.tools));
+        this.addButton('undo', 'Undo', this.tools);
+        this.addButton('redo', 'Redo', this.tools);
+        this.addButton('export', 'Export', this.tools);
+        this.addButton('import', 'Import', this.tools);
+        this.addButton('clear', 'Clear', this.tools);
+        this.element.appendChild(this.tools);
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = 'application/json,.json';
+        this.fileInput.hidden = true;
+        this.element.appendChild(this.fileInput);
+
+        this.message = document.createElement('div');
+        this.message.className = 'markup-message';
+        this.message.setAttribute('role', 'status');
+        this.element.appendChild(this.message);
+
+        // Single delegated handler so buttons don't need individual cleanup
+        this.clickHandler = (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button || button.disabled) return;
+
+            const action = button.dataset.action;
+            if (action.startsWith('tool:')) {
+                this.callbacks.onTool(action.slice(5));
+            } else if (action === 'import') {
+                this.fileInput.click();
+            } else {
+                const callback = {
+                    toggle: this.callbacks.onToggle,
+                    undo: this.callbacks.onUndo,
+                    redo: this.callbacks.onRedo,
+                    visibility: this.callbacks.onToggleVisible,
+                    export: this.callbacks.onExport,
+                    clear: this.callbacks.onClear
+                }[action];
+
+                if (callback) callback();
+            }
+        };
+
+        this.fileChangeHandler = async () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (file && this.callbacks.onImport) {
+                this.callbacks.onImport(await file.text());
+            }
+        };
+
+        this.element.addEventListener('click', this.clickHandler);
+        this.fileInput.addEventListener('change', this.fileChangeHandler);
+
+        this.container.appendChild(this.element);
+    }
+
+    addButton(action, label, parent = this.element) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'nav-button';
+        button.textContent = label;
+        button.dataset.action = action;
+
+        parent.appendChild(button);
+        this.buttons.set(action, button);
+    }
+
+    // Reflect the markup state: { isActive, tool, canUndo, canRedo, isVisible, hasMarks }
+    update(state) {
+        const toggle = this.buttons.get('toggle');
+        toggle.textContent = state.isActive ? 'Done' : 'Mark up';
+        toggle.setAttribute('aria-pressed', state.isActive ? 'true' : 'false');
+
+        this.tools.hidden = !state.isActive;
+
+        TOOLS.forEach(({ tool }) => {
+            this.buttons.get(`tool:${tool}`).setAttribute('aria-pressed', tool === state.tool ? 'true' : 'false');
+        });
+
+        this.buttons.get('undo').disabled = !state.canUndo;
+        this.buttons.get('redo').disabled = !state.canRedo;
+        this.buttons.get('export').disabled = !state.hasMarks;
+        this.buttons.get('clear').disabled = !state.hasMarks;
+
+        const visibility = this.buttons.get('visibility');
+        visibility.hidden = !state.hasMarks;
+        visibility.textContent = state.isVisible ? 'Hide marks' : 'Show marks';
+    }
+
+    showMessage(text) {
+        this.message.textContent = text;
+
+        clearTimeout(this.messageTimer);
+        this.messageTimer = setTimeout(() => {
+            this.message.textContent = '';
+        }, MESSAGE_DURATION);
+    }
+
+    dispose() {
+        clearTimeout(this.messageTimer);
+        this.element.removeEventListener('click', this.clickHandler);
+        this.fileInput.removeEventListener('change', this.fileChangeHandler);
+
+        if (this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+
+        this.buttons.clear();
+    }
+}
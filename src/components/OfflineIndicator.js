@@ -0,0 +1,34 @@
+// Small notice shown while the browser is offline; sheets cached by the service worker
+// keep working meanwhile
+export class OfflineIndicator {
+    constructor(container) {
+        this.container = container;
+
+        this.element = document.createElement('div');
+        this.element.className = 'offline-indicator';
+        this.element.setAttribute('role', 'status');
+
+        this.updateHandler = () => this.update();
+        window.addEventListener('online', this.updateHandler);
+        window.addEventListener('offline', this.updateHandler);
+
+        this.container.appendChild(this.element);
+        this.update();
+    }
+
+    update() {
+        const isOffline = navigator.onLine === false;
+
+        this.element.textContent = isOffline ? 'Offline — showing saved sheets' : '';
+        this.element.classList.toggle('is-visible', isOffline);
+    }
+
+    dispose() {
+        window.removeEventListener('online', this.updateHandler);
+        window.removeEventListener('offline', this.updateHandler);
+
+        if (this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
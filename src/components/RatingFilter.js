@@ -0,0 +1,50 @@
+import { MAX_RATING } from '../core/FrameRatings.js';
+
+// Minimum-rating filter for the sheet: frames rated below it are dimmed and skipped
+export class RatingFilter {
+    constructor(container, callbacks) {
+        this.container = container;
+        this.callbacks = callbacks;
+
+        this.element = document.createElement('label');
+        this.element.className = 'rating-filter';
+
+        const caption = document.createElement('span');
+        caption.className = 'visually-hidden';
+        caption.textContent = 'Show frames rated';
+
+        this.select = document.createElement('select');
+        this.select.className = 'nav-button';
+
+        for (let rating = 0; rating <= MAX_RATING; rating++) {
+            const option = document.createElement('option');
+            option.value = String(rating);
+            option.textContent = rating === 0 ? 'All frames' : `${'★'.repeat(rating)} and up`;
+            this.select.appendChild(option);
+        }
+
+        this.element.appendChild(caption);
+        this.element.appendChild(this.select);
+
+        this.changeHandler = () => {
+            if (this.callbacks.onChange) {
+                this.callbacks.onChange(Number(this.select.value));
+            }
+        };
+        this.select.addEventListener('change', this.changeHandler);
+
+        this.container.appendChild(this.element);
+    }
+
+    setValue(minRating) {
+        this.select.value = String(minRating);
+    }
+
+    dispose() {
+        this.select.removeEventListener('change', this.changeHandler);
+
+        if (this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
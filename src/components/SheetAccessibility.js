@@ -0,0 +1,185 @@
+// Screen-reader mirror of the WebGL contact sheet: a visually hidden grid of buttons,
+// one per frame, plus a live region announcing the frame being viewed.
+// Only the active frame's button is a tab stop; arrow keys move between frames.
+export class SheetAccessibility {
+    constructor(container, callbacks) {
+        this.container = container;
+        this.callbacks = callbacks;
+        this.buttons = [];
+        this.titles = [];
+        this.activeImage = null;
+        this.currentImage = null;
+
+        this.element = document.createElement('div');
+        this.element.className = 'visually-hidden';
+        // Let KeyboardManager treat arrow keys on these buttons as sheet navigation
+        this.element.dataset.sheetKeys = 'true';
+
+        this.grid = document.createElement('div');
+        this.grid.setAttribute('role', 'grid');
+
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+
+        this.element.appendChild(this.grid);
+        this.element.appendChild(this.liveRegion);
+
+        // Delegated handlers so buttons can be rebuilt without individual cleanup
+        this.clickHandler = (event) => {
+            const image = this.getImageForElement(event.target);
+            if (image && this.callbacks.onSelect) {
+                this.callbacks.onSelect(image);
+            }
+        };
+
+        this.focusHandler = (event) => {
+            const image = this.getImageForElement(event.target);
+            if (image && this.callbacks.onFocus) {
+                this.callbacks.onFocus(image, isFocusVisible(event.target));
+            }
+        };
+
+        this.grid.addEventListener('click', this.clickHandler);
+        this.grid.addEventListener('focusin', this.focusHandler);
+
+        this.container.appendChild(this.element);
+    }
+
+    // Build one button per frame from the layout and the sheet's imageMapping
+    build(layout, imageMapping, label) {
+        this.grid.textContent = '';
+        this.grid.setAttribute('aria-label', label);
+        this.grid.setAttribute('aria-rowcount', String(layout.getFilledRows()));
+        this.grid.setAttribute('aria-colcount', String(layout.columns));
+        this.buttons = [];
+        this.titles = [];
+
+        for (let row = 0; row < layout.rows; row++) {
+            if (!layout.hasImage(row, 0)) break;
+
+            const rowElement = document.createElement('div');
+            rowElement.setAttribute('role', 'row');
+            rowElement.setAttribute('aria-rowindex', String(row + 1));
+            this.buttons[row] = [];
+            this.titles[row] = [];
+
+            for (let col = 0; col < layout.columns; col++) {
+                if (!layout.hasImage(row, col)) break;
+
+                const frame = imageMapping[row] && imageMapping[row][col];
+                const title = frame ? frame.title : `Frame ${row * layout.columns + col + 1}`;
+
+                const cell = document.createElement('div');
+                cell.setAttribute('role', 'gridcell');
+                cell.setAttribute('aria-colindex', String(col + 1));
+
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = title;
+                button.tabIndex = -1;
+                button.dataset.row = String(row);
+                button.dataset.col = String(col);
+
+                cell.appendChild(button);
+                rowElement.appendChild(cell);
+                this.buttons[row][col] = button;
+                this.titles[row][col] = title;
+            }
+
+            this.grid.appendChild(rowElement);
+        }
+
+        this.activeImage = null;
+        this.currentImage = null;
+        this.setActiveImage({ row: 0, col: 0 });
+    }
+
+    getButton(row, col) {
+        return (this.buttons[row] && this.buttons[row][col]) || null;
+    }
+
+    getImageForElement(element) {
+        const button = element && element.closest ? element.closest('button[data-row]') : null;
+        if (!button) return null;
+
+        return { row: Number(button.dataset.row), col: Number(button.dataset.col) };
+    }
+
+    // Make a frame's button the grid's single tab stop
+    setActiveImage(image) {
+        const button = image && this.getButton(image.row, image.col);
+        if (!button) return;
+
+        if (this.activeImage) {
+            const previous = this.getButton(this.activeImage.row, this.activeImage.col);
+            if (previous) previous.tabIndex = -1;
+        }
+
+        button.tabIndex = 0;
+        this.activeImage = { row: image.row, col: image.col };
+    }
+
+    // Mark the frame being viewed (null when zoomed out) and announce it when it changes
+    setCurrentImage(image) {
+        const previous = this.currentImage;
+        if (previous && image && previous.row === image.row && previous.col === image.col) return;
+        if (!previous && !image) return;
+
+        if (previous) {
+            const button = this.getButton(previous.row, previous.col);
+            if (button) button.removeAttribute('aria-current');
+        }
+
+        this.currentImage = image ? { row: image.row, col: image.col } : null;
+        if (!image) return;
+
+        const button = this.getButton(image.row, image.col);
+        if (button) button.setAttribute('aria-current', 'true');
+
+        const title = this.titles[image.row] && this.titles[image.row][image.col];
+        this.announce(`Row ${image.row + 1}, column ${image.col + 1}: ${title}`);
+    }
+
+    announce(message) {
+        this.liveRegion.textContent = message;
+    }
+
+    // Move keyboard focus to a frame's button
+    focusImage(image) {
+        const button = this.getButton(image.row, image.col);
+        if (!button) return;
+
+        this.setActiveImage(image);
+        if (document.activeElement !== button) {
+            button.focus({ preventScroll: true });
+        }
+    }
+
+    containsFocus() {
+        return this.grid.contains(document.activeElement);
+    }
+
+    dispose() {
+        this.grid.removeEventListener('click', this.clickHandler);
+        this.grid.removeEventListener('focusin', this.focusHandler);
+
+        if (this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+
+        this.buttons = [];
+        this.titles = [];
+    }
+}
+
+// Whether the browser would draw a focus indicator (keyboard focus rather than a click)
+function isFocusVisible(element) {
+    try {
+        return element.matches(':focus-visible');
+    } catch (error) {
+        // Older browsers without :focus-visible
+        return true;
+    }
+}
@@ -1,6 +1,7 @@
-import * as THREE from 'three';
 import { SheetState } from './SheetInteraction.js';
+import { FRAME_BRIGHTNESS } from './SheetFrames.js';
 import { ANIMATION_DURATIONS, calculateZoomFrustum } from './SheetUtils.js';
+import { prefersReducedMotion } from '../core/MotionPreference.js';
 
 export class SheetAnimation {
     constructor(camera, gradientBackground) {
@@ -9,13 +10,23 @@ export class SheetAnimation {
     }
     
     // Zoom to a specific image
-    zoomToImage(imagePos, row, col, state, setCurrentImage, setImageBrightness) {
-        const { size, aspect } = calculateZoomFrustum();
+    zoomToImage(imagePos, row, col, state, setCurrentImage, setImageBrightness, zoomFrustum = calculateZoomFrustum()) {
+        const { size, aspect } = zoomFrustum;
         const halfSize = size / 2;
         
         const isSubsequentMovement = state === SheetState.ZOOMED_IN;
         state = SheetState.ANIMATING;
         
+        // Reduced motion: cut straight to the frame instead of flying there
+        if (prefersReducedMotion()) {
+            this.cutTo(imagePos, this.getFrustumBounds(size, aspect), () => {
+                setCurrentImage(row, col);
+                state = SheetState.ZOOMED_IN;
+                setImageBrightness(row, col);
+            });
+            return;
+        }
+        
         // Animate camera frustum
         gsap.to(this.camera, {
             left: -halfSize * aspect,
@@ -65,6 +76,37 @@ export class SheetAnimation {
         // Reset image brightness as we zoom out
         resetImageBrightness();
         
+        // Recalculate the correct frustum based on current aspect ratio
+        const aspect = window.innerWidth / window.innerHeight;
+        const frustumSize = aspect > 1 ? 4 : 4 / aspect;
+        const halfHeight = frustumSize / 2;
+        const halfWidth = frustumSize * aspect / 2;
+        
+        const onZoomOutComplete = () => {
+            // Update the stored original frustum with the current values
+            originalFrustum.left = -halfWidth;
+            originalFrustum.right = halfWidth;
+            originalFrustum.top = halfHeight;
+            originalFrustum.bottom = -halfHeight;
+            state = SheetState.IDLE;
+            
+            // Call the additional callback if provided
+            if (onComplete && typeof onComplete === 'function') {
+                onComplete();
+            }
+        };
+        
+        // Reduced motion: cut back to the whole sheet
+        if (prefersReducedMotion()) {
+            this.cutTo({ x: 0, y: 0 }, {
+                left: -halfWidth,
+                right: halfWidth,
+                top: halfHeight,
+                bottom: -halfHeight
+            }, onZoomOutComplete);
+            return;
+        }
+        
         gsap.to(this.camera.position, {
             x: 0,
             y: 0,
@@ -73,12 +115,6 @@ export class SheetAnimation {
             overwrite: false
         });
         
-        // Recalculate the correct frustum based on current aspect ratio
-        const aspect = window.innerWidth / window.innerHeight;
-        const frustumSize = aspect > 1 ? 4 : 4 / aspect;
-        const halfHeight = frustumSize / 2;
-        const halfWidth = frustumSize * aspect / 2;
-        
         gsap.to(this.camera, {
             left: -halfWidth,
             right: halfWidth,
@@ -90,19 +126,7 @@ export class SheetAnimation {
             onUpdate: () => {
                 this.camera.updateProjectionMatrix();
             },
-            onComplete: () => {
-                // Update the stored original frustum with the current values
-                originalFrustum.left = -halfWidth;
-                originalFrustum.right = halfWidth;
-                originalFrustum.top = halfHeight;
-                originalFrustum.bottom = -halfHeight;
-                state = SheetState.IDLE;
-                
-                // Call the additional callback if provided
-                if (onComplete && typeof onComplete === 'function') {
-                    onComplete();
-                }
-            }
+            onComplete: onZoomOutComplete
         });
         
         // Reset gradient background position
@@ -118,6 +142,67 @@ export class SheetAnimation {
         }
     }
     
+    // Camera frustum bounds for a frustum size and aspect ratio
+    getFrustumBounds(size, aspect) {
+        const halfSize = size / 2;
+        
+        return {
+            left: -halfSize * aspect,
+            right: halfSize * aspect,
+            top: halfSize,
+            bottom: -halfSize
+        };
+    }
+    
+    // Reduced-motion replacement for camera flights: fade the canvas out, jump the camera
+    // (and parallax background) to the target, then fade back in. onComplete runs after the
+    // fade-in, so callers see the same asynchronous completion as with the full animation.
+    cutTo(position, frustum, onComplete) {
+        const canvas = document.querySelector('canvas');
+        
+        gsap.killTweensOf(this.camera);
+        gsap.killTweensOf(this.camera.position);
+        
+        const cut = () => {
+            this.camera.position.x = position.x;
+            this.camera.position.y = position.y;
+            this.camera.left = frustum.left;
+            this.camera.right = frustum.right;
+            this.camera.top = frustum.top;
+            this.camera.bottom = frustum.bottom;
+            this.camera.updateProjectionMatrix();
+            
+            if (this.gradientBackground) {
+                const parallaxFactor = 0.15;
+                gsap.killTweensOf(this.gradientBackground.position);
+                this.gradientBackground.position.x = position.x * parallaxFactor;
+                this.gradientBackground.position.y = position.y * parallaxFactor;
+            }
+        };
+        
+        if (!canvas) {
+            gsap.delayedCall(ANIMATION_DURATIONS.REDUCED_MOTION_FADE * 2, () => {
+                cut();
+                onComplete();
+            });
+            return;
+        }
+        
+        gsap.killTweensOf(canvas);
+        gsap.timeline({ onComplete })
+            .to(canvas, {
+                opacity: 0,
+                duration: ANIMATION_DURATIONS.REDUCED_MOTION_FADE,
+                ease: "none"
+            })
+            .call(cut)
+            .to(canvas, {
+                opacity: 1,
+                duration: ANIMATION_DURATIONS.REDUCED_MOTION_FADE,
+                ease: "none"
+            });
+    }
+    
     // Move to an adjacent image
     moveToAdjacentImage(targetImage, layout, currentImage, setCurrentImage, setImageBrightness) {
         const imagePos = layout.getImagePosition(targetImage.row, targetImage.col);
@@ -138,58 +223,18 @@ export class SheetAnimation {
         });
     }
     
-    // Set image brightness to highlight the active image
-    setImageBrightness(scene, activeRow, activeCol) {
-        // Find all sheet image meshes in the scene
-        scene.traverse(object => {
-            if (object instanceof THREE.Mesh && 
-                object.userData && 
-                object.userData.isSheetImage) {
-                
-                const { row, col } = object.userData;
-                
-                if (object.material) {
-                    // For the active image, ensure full brightness
-                    if (row === activeRow && col === activeCol) {
-                        // Active image - full brightness
-                        gsap.to(object.material.color, {
-                            r: 1.0,
-                            g: 1.0,
-                            b: 1.0,
-                            duration: 0.35
-                        });
-                    } else {
-                        // Inactive image - darken by using color as a multiplier
-                        // This preserves the image appearance better than opacity
-                        gsap.to(object.material.color, {
-                            r: 0.1,
-                            g: 0.1,
-                            b: 0.1,
-                            duration: 0.5
-                        });
-                    }
-                }
-            }
-        });
+    // Set image brightness to highlight the active image, dimming the rest (SheetFrames)
+    setImageBrightness(frames, activeRow, activeCol) {
+        frames.animateBrightness((row, col) =>
+            row === activeRow && col === activeCol ? 1 : FRAME_BRIGHTNESS.DIMMED
+        );
     }
     
-    // Restore all images to full brightness
-    resetImageBrightness(scene) {
-        scene.traverse(object => {
-            if (object instanceof THREE.Mesh && 
-                object.userData && 
-                object.userData.isSheetImage) {
-                
-                if (object.material) {
-                    // Animate back to full brightness
-                    gsap.to(object.material.color, {
-                        r: 1.0,
-                        g: 1.0,
-                        b: 1.0,
-                        duration: 0.35
-                    });
-                }
-            }
-        });
+    // Restore all images to full brightness, except those isDimmed(row, col) picks out
+    // (frames hidden by the rating filter), which keep the inactive dimming
+    resetImageBrightness(frames, isDimmed = null) {
+        frames.animateBrightness((row, col) =>
+            isDimmed && isDimmed(row, col) ? FRAME_BRIGHTNESS.DIMMED : 1
+        );
     }
 } 
\ No newline at end of file
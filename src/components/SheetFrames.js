@@ -0,0 +1,307 @@
+import * as THREE from 'three';
+import { FrameAtlas } from './FrameAtlas.js';
+import { createFrameMaterial, getMaterialMap } from './FilmMaterial.js';
+
+// Frame brightness: inactive frames are dimmed by multiplying their color, which
+// preserves the image better than opacity; the film look (FilmMaterial) turns the same
+// value into a desaturated, softer print. Brightening is quicker than dimming.
+export const FRAME_BRIGHTNESS = {
+    DIMMED: 0.1,
+    BRIGHTEN_DURATION: 0.35,
+    DIM_DURATION: 0.5
+};
+
+// Seconds for a frame to fade in once its image arrives
+export const FRAME_FADE_DURATION = 0.5;
+
+// Offset of the full-resolution copy above its frame
+const DETAIL_Z_OFFSET = 0.001;
+
+// Quadratic ease-out, GSAP's default "power1.out"
+function easeOut(progress) {
+    return 1 - (1 - progress) * (1 - progress);
+}
+
+// All frames of a sheet drawn from a texture atlas (FrameAtlas) with one InstancedMesh per
+// atlas page. Each instance carries its atlas region, brightness and opacity as attributes,
+// so the whole sheet is one draw call and one brightness tween. Frames near the camera can
+// show a full-resolution copy on a separate mesh just above them (setDetailTexture).
+// Materials follow filmLook (FilmLook), and are rebuilt when it switches between film and
+// plain. The renderer, if given, lets the atlas upload each frame on its own.
+export class SheetFrames {
+    constructor(scene, layout, z, frameCount, filmLook, renderer = null) {
+        this.scene = scene;
+        this.layout = layout;
+        this.z = z;
+        this.filmLook = filmLook;
+
+        this.atlas = new FrameAtlas(frameCount, renderer);
+        this.geometry = new THREE.PlaneGeometry(1, 1);
+
+        // Frames by "row,col" and by slot: { slot, page, instance, row, col, matrix, detail }
+        this.frames = new Map();
+        this.slots = [];
+        this.brightness = new Float32Array(frameCount).fill(1);
+        this.brightnessTween = null;
+        this.opacity = new Float32Array(frameCount);
+        this.fadeTweens = new Map();
+
+        // Advance the film grain as the frames are drawn
+        this.updateFilm = () => this.filmLook.update(performance.now() / 1000);
+
+        this.meshes = this.atlas.pages.map((page, pageIndex) => {
+            const capacity = pageIndex < this.atlas.pages.length - 1
+                ? this.atlas.perPage
+                : frameCount - pageIndex * this.atlas.perPage;
+
+            const geometry = this.geometry.clone();
+            geometry.setAttribute('instanceUv', new THREE.InstancedBufferAttribute(new Float32Array(capacity * 4), 4));
+            geometry.setAttribute('instanceBrightness', new THREE.InstancedBufferAttribute(new Float32Array(capacity).fill(1), 1));
+            geometry.getAttribute('instanceBrightness').setUsage(THREE.DynamicDrawUsage);
+            geometry.setAttribute('instanceOpacity', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+            geometry.getAttribute('instanceOpacity').setUsage(THREE.DynamicDrawUsage);
+
+            // Instances stay collapsed to nothing until their frame is added
+            const mesh = new THREE.InstancedMesh(geometry, this.createMaterial(page.texture), capacity);
+            const hidden = new THREE.Matrix4().makeScale(0, 0, 0);
+            for (let instance = 0; instance < capacity; instance++) {
+                mesh.setMatrixAt(instance, hidden);
+            }
+            mesh.position.z = z;
+            mesh.onBeforeRender = this.updateFilm;
+            scene.add(mesh);
+
+            return mesh;
+        });
+
+        this.stopFollowingLook = filmLook.onChange(() => this.replaceMaterials());
+    }
+
+    createMaterial(map) {
+        return createFrameMaterial(map, this.filmLook, FRAME_BRIGHTNESS.DIMMED);
+    }
+
+    // Rebuild every material for the current look, keeping brightness and opacity
+    replaceMaterials() {
+        this.meshes.forEach(mesh => {
+            const previous = mesh.material;
+            mesh.material = this.createMaterial(getMaterialMap(previous));
+            previous.dispose();
+        });
+
+        this.frames.forEach(frame => {
+            if (!frame.detail) return;
+
+            const previous = frame.detail.material;
+            gsap.killTweensOf(previous.uniforms.frameOpacity);
+
+            const material = this.createMaterial(getMaterialMap(previous));
+            material.depthWrite = false;
+            material.uniforms.frameBrightness.value = this.brightness[frame.slot];
+            frame.detail.material = material;
+            previous.dispose();
+        });
+    }
+
+    // Add a frame in its atlas slot (its index in the manifest), drawing image into the atlas.
+    // Without an image the frame shows as a placeholder, with placeholderLabel if given.
+    // bounds is the frame's real footprint from GridLayout.getFrameBounds. The frame fades
+    // in over fadeDuration seconds.
+    addFrame(slot, row, col, bounds, image = null, fadeDuration = 0, placeholderLabel = null) {
+        const pageIndex = this.atlas.getPageIndex(slot);
+        const mesh = this.meshes[pageIndex];
+        const instance = slot - pageIndex * this.atlas.perPage;
+
+        // A frame can be added again, e.g. its image replacing a placeholder after a retry;
+        // the image then fades in afresh
+        if (this.has(row, col)) {
+            this.removeDetailTexture(row, col);
+            if (image) {
+                this.opacity[slot] = 0;
+            }
+        }
+
+        // Rotated frames are built in the image's own proportions, then turned on the sheet
+        const width = (bounds.rotated ? bounds.height : bounds.width) * this.layout.scale;
+        const height = (bounds.rotated ? bounds.width : bounds.height) * this.layout.scale;
+        const position = this.layout.getImagePosition(row, col);
+
+        const matrix = new THREE.Matrix4().compose(
+            new THREE.Vector3(position.x, position.y, 0),
+            new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), bounds.rotated ? Math.PI / 2 : 0),
+            new THREE.Vector3(width, height, 1)
+        );
+        mesh.setMatrixAt(instance, matrix);
+        mesh.instanceMatrix.needsUpdate = true;
+
+        const region = image
+            ? this.atlas.draw(slot, image)
+            : this.atlas.drawPlaceholder(slot, width / height, placeholderLabel);
+        const uvs = mesh.geometry.getAttribute('instanceUv');
+        uvs.setXYZW(instance, region.x, region.y, region.width, region.height);
+        uvs.needsUpdate = true;
+
+        mesh.computeBoundingSphere();
+
+        const frame = { slot, page: pageIndex, instance, row, col, matrix, detail: null };
+        this.frames.set(`${row},${col}`, frame);
+        this.slots[slot] = frame;
+        this.writeBrightness(slot);
+        this.fadeIn(slot, fadeDuration);
+    }
+
+    fadeIn(slot, duration) {
+        if (this.fadeTweens.has(slot)) {
+            this.fadeTweens.get(slot).kill();
+            this.fadeTweens.delete(slot);
+        }
+
+        if (duration <= 0) {
+            this.opacity[slot] = 1;
+            this.writeOpacity(slot);
+            return;
+        }
+
+        const fade = { opacity: this.opacity[slot] };
+        this.fadeTweens.set(slot, gsap.to(fade, {
+            opacity: 1,
+            duration,
+            ease: "power1.out",
+            onUpdate: () => {
+                this.opacity[slot] = fade.opacity;
+                this.writeOpacity(slot);
+            },
+            onComplete: () => {
+                this.fadeTweens.delete(slot);
+            }
+        }));
+    }
+
+    writeOpacity(slot) {
+        const pageIndex = this.atlas.getPageIndex(slot);
+        const instance = slot - pageIndex * this.atlas.perPage;
+        const attribute = this.meshes[pageIndex].geometry.getAttribute('instanceOpacity');
+
+        attribute.setX(instance, this.opacity[slot]);
+        attribute.needsUpdate = true;
+    }
+
+    has(row, col) {
+        return this.frames.has(`${row},${col}`);
+    }
+
+    // Animate every frame towards getBrightness(row, col) in a single tween
+    animateBrightness(getBrightness) {
+        if (this.brightnessTween) {
+            this.brightnessTween.kill();
+        }
+
+        const changes = [];
+        this.frames.forEach(frame => {
+            const from = this.brightness[frame.slot];
+            const to = getBrightness(frame.row, frame.col);
+            if (from === to) return;
+
+            const duration = to > from ? FRAME_BRIGHTNESS.BRIGHTEN_DURATION : FRAME_BRIGHTNESS.DIM_DURATION;
+            changes.push({ slot: frame.slot, from, to, duration });
+        });
+
+        if (changes.length === 0) return;
+
+        const clock = { time: 0 };
+        const longest = Math.max(...changes.map(change => change.duration));
+        this.brightnessTween = gsap.to(clock, {
+            time: longest,
+            duration: longest,
+            ease: "none",
+            onUpdate: () => {
+                changes.forEach(({ slot, from, to, duration }) => {
+                    const progress = easeOut(Math.min(1, clock.time / duration));
+                    this.brightness[slot] = from + (to - from) * progress;
+                    this.writeBrightness(slot);
+                });
+            },
+            onComplete: () => {
+                this.brightnessTween = null;
+            }
+        });
+    }
+
+    writeBrightness(slot) {
+        const pageIndex = this.atlas.getPageIndex(slot);
+        const instance = slot - pageIndex * this.atlas.perPage;
+        const attribute = this.meshes[pageIndex].geometry.getAttribute('instanceBrightness');
+
+        attribute.setX(instance, this.brightness[slot]);
+        attribute.needsUpdate = true;
+
+        // The full-resolution copy follows its frame
+        const frame = this.slots[slot];
+        if (frame && frame.detail) {
+            frame.detail.material.uniforms.frameBrightness.value = this.brightness[slot];
+        }
+    }
+
+    // Show a full-resolution texture over a frame, fading it in over fadeDuration seconds
+    setDetailTexture(row, col, texture, fadeDuration = 0) {
+        const frame = this.frames.get(`${row},${col}`);
+        if (!frame) return;
+
+        this.removeDetailTexture(row, col);
+
+        const material = this.createMaterial(texture);
+        material.depthWrite = false;
+        material.uniforms.frameBrightness.value = this.brightness[frame.slot];
+        material.uniforms.frameOpacity.value = fadeDuration > 0 ? 0 : 1;
+
+        const mesh = new THREE.Mesh(this.geometry, material);
+        mesh.onBeforeRender = this.updateFilm;
+        mesh.matrixAutoUpdate = false;
+        mesh.matrix.copy(frame.matrix);
+        mesh.matrix.elements[14] = this.z + DETAIL_Z_OFFSET;
+        this.scene.add(mesh);
+        frame.detail = mesh;
+
+        if (fadeDuration > 0) {
+            gsap.to(material.uniforms.frameOpacity, { value: 1, duration: fadeDuration, ease: "power1.out" });
+        }
+    }
+
+    // Back to the atlas copy; the texture itself belongs to the caller
+    removeDetailTexture(row, col) {
+        const frame = this.frames.get(`${row},${col}`);
+        if (!frame || !frame.detail) return;
+
+        gsap.killTweensOf(frame.detail.material.uniforms.frameOpacity);
+        this.scene.remove(frame.detail);
+        frame.detail.material.dispose();
+        frame.detail = null;
+    }
+
+    dispose() {
+        this.stopFollowingLook();
+
+        if (this.brightnessTween) {
+            this.brightnessTween.kill();
+            this.brightnessTween = null;
+        }
+
+        this.fadeTweens.forEach(tween => tween.kill());
+        this.fadeTweens.clear();
+
+        this.frames.forEach(frame => this.removeDetailTexture(frame.row, frame.col));
+        this.frames.clear();
+        this.slots = [];
+
+        this.meshes.forEach(mesh => {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+            mesh.dispose();
+        });
+        this.meshes = [];
+
+        this.geometry.dispose();
+        this.atlas.dispose();
+    }
+}
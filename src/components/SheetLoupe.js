@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+
+// Loupe settings: lens radius in CSS pixels and the magnification range
+export const LOUPE = {
+    RADIUS: 120,
+    MIN_MAGNIFICATION: 3,
+    MAX_MAGNIFICATION: 4,
+    DEFAULT_MAGNIFICATION: 3.5,
+    WHEEL_SENSITIVITY: 0.002
+};
+
+// Desktop loupe: a circular lens that follows the mouse and shows the sheet under it
+// magnified. The scene is rendered a second time through a small camera into a
+// render target, so frames are drawn from their full-resolution textures rather than
+// enlarged screen pixels, and the result is drawn as a disc over the canvas.
+export class SheetLoupe {
+    constructor(scene, camera) {
+        this.scene = scene;
+        this.camera = camera;
+        this.isEnabled = false;
+        this.pointer = null;
+        this.magnification = LOUPE.DEFAULT_MAGNIFICATION;
+
+        this.loupeCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, camera.near, camera.far);
+        this.renderTarget = new THREE.WebGLRenderTarget(1, 1, { samples: 4 });
+
+        // Lens and rim, drawn in screen pixels over the rendered sheet
+        this.overlayScene = new THREE.Scene();
+        this.overlayCamera = new THREE.OrthographicCamera(0, 1, 0, -1, -1, 1);
+
+        this.lens = new THREE.Mesh(
+            new THREE.CircleGeometry(LOUPE.RADIUS, 64),
+            new THREE.MeshBasicMaterial({ map: this.renderTarget.texture, transparent: true, depthTest: false })
+        );
+        this.rim = new THREE.Mesh(
+            new THREE.RingGeometry(LOUPE.RADIUS, LOUPE.RADIUS + 2, 64),
+            new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.9, depthTest: false })
+        );
+        this.overlayScene.add(this.lens);
+        this.overlayScene.add(this.rim);
+    }
+
+    // Only offered where there is a mouse to steer it
+    static isSupported() {
+        return typeof window !== 'undefined' && Boolean(window.matchMedia) &&
+            window.matchMedia('(hover: hover) and (pointer: fine)').matches;
+    }
+
+    setEnabled(isEnabled) {
+        this.isEnabled = isEnabled;
+    }
+
+    // Pointer position in client pixels, or null to hide the lens
+    setPointer(clientX, clientY) {
+        this.pointer = clientX === null ? null : { x: clientX, y: clientY };
+    }
+
+    // Change magnification by factor, within the loupe's range
+    magnify(factor) {
+        this.magnification = Math.min(LOUPE.MAX_MAGNIFICATION,
+            Math.max(LOUPE.MIN_MAGNIFICATION, this.magnification * factor));
+    }
+
+    // Second pass: call after the main render, with the same renderer
+    render(renderer) {
+        if (!this.isEnabled || !this.pointer) return;
+
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const pixelRatio = renderer.getPixelRatio();
+        const size = Math.round(LOUPE.RADIUS * 2 * pixelRatio);
+
+        if (this.renderTarget.width !== size) {
+            this.renderTarget.setSize(size, size);
+        }
+
+        // Sheet point under the pointer, and the lens radius in scene units
+        const viewWidth = this.camera.right - this.camera.left;
+        const viewHeight = this.camera.top - this.camera.bottom;
+        const centerX = this.camera.position.x + ((this.pointer.x / width) * 2 - 1) * viewWidth / 2;
+        const centerY = this.camera.position.y - ((this.pointer.y / height) * 2 - 1) * viewHeight / 2;
+        const radius = LOUPE.RADIUS * (viewHeight / height) / this.magnification;
+
+        this.loupeCamera.left = -radius;
+        this.loupeCamera.right = radius;
+        this.loupeCamera.top = radius;
+        this.loupeCamera.bottom = -radius;
+        this.loupeCamera.position.set(centerX, centerY, this.camera.position.z);
+        this.loupeCamera.updateProjectionMatrix();
+
+        this.overlayCamera.right = width;
+        this.overlayCamera.bottom = -height;
+        this.overlayCamera.updateProjectionMatrix();
+        this.lens.position.set(this.pointer.x, -this.pointer.y, 0);
+        this.rim.position.set(this.pointer.x, -this.pointer.y, 0);
+
+        const previousTarget = renderer.getRenderTarget();
+        const previousAutoClear = renderer.autoClear;
+
+        renderer.setRenderTarget(this.renderTarget);
+        renderer.clear();
+        renderer.render(this.scene, this.loupeCamera);
+        renderer.setRenderTarget(previousTarget);
+
+        // Draw the lens over the frame without clearing it
+        renderer.autoClear = false;
+        renderer.render(this.overlayScene, this.overlayCamera);
+        renderer.autoClear = previousAutoClear;
+    }
+
+    dispose() {
+        this.renderTarget.dispose();
+        this.lens.geometry.dispose();
+        this.lens.material.dispose();
+        this.rim.geometry.dispose();
+        this.rim.material.dispose();
+    }
+}
@@ -0,0 +1,273 @@
+import * as THREE from 'three';
+
+// Grease-pencil look, in sheet pixels so marks scale with the sheet
+const STROKE_WIDTH = 14;
+const STROKE_COLOR = 0xe0301e;
+const CIRCLE_SEGMENTS = 64;
+const JOIN_SEGMENTS = 8;
+
+// Pointer travel, in sheet pixels, below which a circle or X counts as a click on a frame
+const CLICK_DISTANCE = 20;
+// Space left around a frame circled or crossed with a click, in sheet pixels
+const FRAME_MARK_PADDING = 40;
+
+// Polylines (in sheet pixels) that draw a mark
+export function getMarkPolylines(mark) {
+    if (mark.tool === 'pen') {
+        return [mark.points];
+    }
+
+    const [[x1, y1], [x2, y2]] = mark.points;
+
+    if (mark.tool === 'cross') {
+        return [[[x1, y1], [x2, y2]], [[x1, y2], [x2, y1]]];
+    }
+
+    // Ellipse inside the box
+    const centerX = (x1 + x2) / 2;
+    const centerY = (y1 + y2) / 2;
+    const radiusX = Math.abs(x2 - x1) / 2;
+    const radiusY = Math.abs(y2 - y1) / 2;
+    const points = [];
+
+    for (let i = 0; i <= CIRCLE_SEGMENTS; i++) {
+        const angle = (i / CIRCLE_SEGMENTS) * Math.PI * 2;
+        points.push([centerX + Math.cos(angle) * radiusX, centerY + Math.sin(angle) * radiusY]);
+    }
+
+    return [points];
+}
+
+// WebGL overlay that draws SheetMarkup marks on the sheet and turns pointer input
+// into new marks while drawing is enabled. Marks live in sheet pixels and are placed
+// with the GridLayout scale, so they zoom and pan with the frames.
+export class SheetMarkupLayer {
+    constructor(scene, camera, canvas, layout, z, callbacks) {
+        this.scene = scene;
+        this.camera = camera;
+        this.canvas = canvas;
+        this.layout = layout;
+        this.callbacks = callbacks;
+
+        this.tool = 'pen';
+        this.isDrawingEnabled = false;
+        this.draft = null;
+        this.pointerId = null;
+
+        this.group = new THREE.Group();
+        this.group.position.z = z;
+        this.scene.add(this.group);
+
+        // Opaque, so the overlapping joins of a stroke don't show as darker spots
+        this.material = new THREE.MeshBasicMaterial({
+            color: STROKE_COLOR,
+            side: THREE.DoubleSide
+        });
+
+        this.marksMesh = null;
+        this.draftMesh = null;
+
+        this.pointerDownHandler = this.handlePointerDown.bind(this);
+        this.pointerMoveHandler = this.handlePointerMove.bind(this);
+        this.pointerUpHandler = this.handlePointerUp.bind(this);
+        this.pointerCancelHandler = this.cancelDraft.bind(this);
+
+        this.canvas.addEventListener('pointerdown', this.pointerDownHandler);
+        this.canvas.addEventListener('pointermove', this.pointerMoveHandler);
+        this.canvas.addEventListener('pointerup', this.pointerUpHandler);
+        this.canvas.addEventListener('pointercancel', this.pointerCancelHandler);
+    }
+
+    setMarks(marks) {
+        this.marksMesh = this.replaceMesh(this.marksMesh, marks);
+    }
+
+    setVisible(isVisible) {
+        this.group.visible = isVisible;
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+    }
+
+    setDrawingEnabled(isEnabled) {
+        this.isDrawingEnabled = isEnabled;
+        if (!isEnabled) {
+            this.cancelDraft();
+        }
+    }
+
+    // Sheet pixel under a client position
+    getSheetPoint(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const pointerX = ((clientX - rect.left) / rect.width) * 2 - 1;
+        const pointerY = -((clientY - rect.top) / rect.height) * 2 + 1;
+        const sceneX = this.camera.position.x + pointerX * (this.camera.right - this.camera.left) / 2;
+        const sceneY = this.camera.position.y + pointerY * (this.camera.top - this.camera.bottom) / 2;
+
+        return [
+            sceneX / this.layout.scale + this.layout.sheetWidth / 2,
+            -sceneY / this.layout.scale + this.layout.sheetHeight / 2
+        ];
+    }
+
+    handlePointerDown(event) {
+        if (!this.isDrawingEnabled) return;
+
+        // A second finger means a pinch, not a stroke
+        if (this.draft) {
+            this.cancelDraft();
+            return;
+        }
+
+        if (!event.isPrimary || event.button !== 0) return;
+
+        this.pointerId = event.pointerId;
+        // Keep the stroke going if the pointer strays over the toolbar
+        this.canvas.setPointerCapture(event.pointerId);
+
+        const point = this.getSheetPoint(event.clientX, event.clientY);
+        this.draft = { tool: this.tool, points: this.tool === 'pen' ? [point] : [point, point] };
+        this.updateDraft();
+    }
+
+    handlePointerMove(event) {
+        if (!this.draft || event.pointerId !== this.pointerId) return;
+
+        const point = this.getSheetPoint(event.clientX, event.clientY);
+
+        if (this.draft.tool === 'pen') {
+            const [lastX, lastY] = this.draft.points[this.draft.points.length - 1];
+            // Skip points closer than a fraction of the stroke width
+            if (Math.hypot(point[0] - lastX, point[1] - lastY) < STROKE_WIDTH / 4) return;
+            this.draft.points.push(point);
+        } else {
+            this.draft.points[1] = point;
+        }
+
+        this.updateDraft();
+    }
+
+    handlePointerUp(event) {
+        if (!this.draft || event.pointerId !== this.pointerId) return;
+
+        const mark = this.draft;
+        this.cancelDraft();
+
+        if (mark.tool !== 'pen') {
+            const [[x1, y1], [x2, y2]] = mark.points;
+
+            // A click circles or crosses out the frame under it
+            if (Math.hypot(x2 - x1, y2 - y1) < CLICK_DISTANCE) {
+                const frameBox = this.getFrameBox(x1, y1);
+                if (!frameBox) return;
+                mark.points = frameBox;
+            }
+        }
+
+        if (this.callbacks.onDraw) {
+            this.callbacks.onDraw({ tool: mark.tool, points: mark.points.map(([x, y]) => [Math.round(x), Math.round(y)]) });
+        }
+    }
+
+    // Corners of the grid cell under a sheet point, with some room around the frame
+    getFrameBox(pixelX, pixelY) {
+        const { row, col } = this.layout.getCellAtSheetPoint(pixelX, pixelY);
+        if (!this.layout.hasImage(row, col)) return null;
+
+        const left = this.layout.firstImageX + col * (this.layout.imageWidth + this.layout.horizontalMargin);
+        const top = this.layout.firstImageY + row * (this.layout.imageHeight + this.layout.verticalMargin);
+
+        return [
+            [left - FRAME_MARK_PADDING, top - FRAME_MARK_PADDING],
+            [left + this.layout.imageWidth + FRAME_MARK_PADDING, top + this.layout.imageHeight + FRAME_MARK_PADDING]
+        ];
+    }
+
+    updateDraft() {
+        this.draftMesh = this.replaceMesh(this.draftMesh, this.draft ? [this.draft] : []);
+    }
+
+    cancelDraft() {
+        this.draft = null;
+        this.pointerId = null;
+        this.updateDraft();
+    }
+
+    // Swap a mesh for one drawing the given marks (null when there are none)
+    replaceMesh(mesh, marks) {
+        if (mesh) {
+            this.group.remove(mesh);
+            mesh.geometry.dispose();
+        }
+
+        if (marks.length === 0) return null;
+
+        const positions = [];
+        marks.forEach(mark => {
+            getMarkPolylines(mark).forEach(polyline => {
+                this.addStroke(positions, polyline.map(point => this.toScene(point)), STROKE_WIDTH * this.layout.scale / 2);
+            });
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+
+        const nextMesh = new THREE.Mesh(geometry, this.material);
+        this.group.add(nextMesh);
+        return nextMesh;
+    }
+
+    toScene([pixelX, pixelY]) {
+        return [
+            (pixelX - this.layout.sheetWidth / 2) * this.layout.scale,
+            -(pixelY - this.layout.sheetHeight / 2) * this.layout.scale
+        ];
+    }
+
+    // Triangles for a polyline of the given half-width: a quad per segment and a disc
+    // at every point for round joins and caps
+    addStroke(positions, points, halfWidth) {
+        points.forEach(([x, y], index) => {
+            for (let i = 0; i < JOIN_SEGMENTS; i++) {
+                const a1 = (i / JOIN_SEGMENTS) * Math.PI * 2;
+                const a2 = ((i + 1) / JOIN_SEGMENTS) * Math.PI * 2;
+                positions.push(
+                    x, y, 0,
+                    x + Math.cos(a1) * halfWidth, y + Math.sin(a1) * halfWidth, 0,
+                    x + Math.cos(a2) * halfWidth, y + Math.sin(a2) * halfWidth, 0
+                );
+            }
+
+            if (index === 0) return;
+
+            const [prevX, prevY] = points[index - 1];
+            const length = Math.hypot(x - prevX, y - prevY);
+            if (length === 0) return;
+
+            const normalX = -(y - prevY) / length * halfWidth;
+            const normalY = (x - prevX) / length * halfWidth;
+
+            positions.push(
+                prevX + normalX, prevY + normalY, 0,
+                prevX - normalX, prevY - normalY, 0,
+                x + normalX, y + normalY, 0,
+                x + normalX, y + normalY, 0,
+                prevX - normalX, prevY - normalY, 0,
+                x - normalX, y - normalY, 0
+            );
+        });
+    }
+
+    dispose() {
+        this.canvas.removeEventListener('pointerdown', this.pointerDownHandler);
+        this.canvas.removeEventListener('pointermove', this.pointerMoveHandler);
+        this.canvas.removeEventListener('pointerup', this.pointerUpHandler);
+        this.canvas.removeEventListener('pointercancel', this.pointerCancelHandler);
+
+        this.marksMesh = this.replaceMesh(this.marksMesh, []);
+        this.draftMesh = this.replaceMesh(this.draftMesh, []);
+        this.material.dispose();
+        this.scene.remove(this.group);
+    }
+}
@@ -0,0 +1,61 @@
+export class SheetNavigation {
+    constructor(container, sheets, callbacks) {
+        this.container = container;
+        this.sheets = sheets;
+        this.callbacks = callbacks;
+        this.buttons = new Map();
+
+        this.list = document.createElement('div');
+        this.list.className = 'sheet-nav';
+        this.list.setAttribute('role', 'toolbar');
+        this.list.setAttribute('aria-label', 'Contact sheets');
+
+        sheets.forEach(sheet => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'nav-button';
+            button.textContent = sheet.title;
+            button.dataset.sheetId = sheet.id;
+
+            this.list.appendChild(button);
+            this.buttons.set(sheet.id, button);
+        });
+
+        // Use a single delegated handler so buttons don't need individual cleanup
+        this.clickHandler = (event) => {
+            const button = event.target.closest('button[data-sheet-id]');
+            if (!button || button.getAttribute('aria-current') === 'true') return;
+
+            if (this.callbacks.onSelect) {
+                this.callbacks.onSelect(button.dataset.sheetId);
+            }
+        };
+        this.list.addEventListener('click', this.clickHandler);
+
+        this.container.appendChild(this.list);
+        this.container.classList.add('visible');
+    }
+
+    // Highlight the sheet that is currently shown
+    setActive(sheetId) {
+        this.buttons.forEach((button, id) => {
+            button.setAttribute('aria-current', id === sheetId ? 'true' : 'false');
+        });
+    }
+
+    // Indicate that a sheet is loading
+    setBusy(isBusy) {
+        this.list.setAttribute('aria-busy', isBusy ? 'true' : 'false');
+    }
+
+    dispose() {
+        this.list.removeEventListener('click', this.clickHandler);
+
+        if (this.list.parentNode) {
+            this.list.parentNode.removeChild(this.list);
+        }
+
+        this.container.classList.remove('visible');
+        this.buttons.clear();
+    }
+}
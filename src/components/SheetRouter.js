@@ -0,0 +1,115 @@
+// Mirrors the visible sheet, frame and detail view into the URL hash so views can be
+// linked to and the browser's Back/Forward buttons step through them:
+//   #/sheet_one             whole sheet
+//   #/sheet_one/2/3         zoomed in on row 2, column 3 (counted from 1)
+//   #/sheet_one/2/3/detail  detail view of that frame
+
+const DETAIL_SEGMENT = 'detail';
+
+// Parse a location hash into { sheetId, image: { row, col } | null, detail }, or null if it isn't a route
+export function parseRoute(hash) {
+    const path = (hash || '').replace(/^#\/?/, '');
+    if (path === '') return null;
+
+    let segments;
+    try {
+        segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        return null;
+    }
+
+    const [sheetId, row, col, detail] = segments;
+    if (!/^[\w-]+$/.test(sheetId)) return null;
+
+    if (segments.length === 1) {
+        return { sheetId, image: null, detail: false };
+    }
+
+    const rowNumber = Number(row);
+    const colNumber = Number(col);
+    const isValid = segments.length <= 4 &&
+        Number.isInteger(rowNumber) && rowNumber >= 1 &&
+        Number.isInteger(colNumber) && colNumber >= 1 &&
+        (detail === undefined || detail === DETAIL_SEGMENT);
+
+    // Keep the sheet from a malformed frame route
+    if (!isValid) {
+        return { sheetId, image: null, detail: false };
+    }
+
+    return {
+        sheetId,
+        image: { row: rowNumber - 1, col: colNumber - 1 },
+        detail: detail === DETAIL_SEGMENT
+    };
+}
+
+// Format a view ({ sheetId, image, detail }) as a location hash
+export function formatRoute(view) {
+    let hash = `#/${encodeURIComponent(view.sheetId)}`;
+
+    if (view.image) {
+        hash += `/${view.image.row + 1}/${view.image.col + 1}`;
+
+        if (view.detail) {
+            hash += `/${DETAIL_SEGMENT}`;
+        }
+    }
+
+    return hash;
+}
+
+export class SheetRouter {
+    constructor(callbacks) {
+        // onNavigate(route) shows a route from the URL and returns a promise that
+        // resolves once it is reached; route is null when the URL holds no route
+        this.callbacks = callbacks;
+
+        // The navigation in progress, while the app animates towards a route from the URL
+        this.navigation = null;
+
+        this.popStateHandler = () => {
+            this.navigate(parseRoute(window.location.hash));
+        };
+    }
+
+    // Show the route in the current URL and start following Back/Forward
+    start() {
+        window.addEventListener('popstate', this.popStateHandler);
+        return this.navigate(parseRoute(window.location.hash));
+    }
+
+    async navigate(route) {
+        const navigation = {};
+        this.navigation = navigation;
+
+        try {
+            if (this.callbacks.onNavigate) {
+                await this.callbacks.onNavigate(route);
+            }
+        } finally {
+            if (this.navigation === navigation) {
+                this.navigation = null;
+            }
+        }
+    }
+
+    // Record a view the app has settled on. Views the user navigates to get their own
+    // history entry; steps on the way to a route from the URL and transient views (e.g.
+    // slideshow steps) only correct the address.
+    update(view, options = {}) {
+        const hash = formatRoute(view);
+        if (hash === window.location.hash) return;
+
+        if (this.navigation || options.transient) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+
+    dispose() {
+        window.removeEventListener('popstate', this.popStateHandler);
+        this.navigation = null;
+    }
+}
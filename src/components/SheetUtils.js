@@ -1,16 +1,41 @@
 import * as THREE from 'three';
+import { GridLayout } from './GridLayout.js';
 
 // Constants (centralized here instead of duplicated)
 export const DOUBLE_TAP_THRESHOLD = 300; // ms
 export const SWIPE_VELOCITY_THRESHOLD = 0.3;
 export const SWIPE_DISTANCE_THRESHOLD = 50; // pixels
 export const DRAG_THRESHOLD = 5; // pixels - distance before a click becomes a drag
+// Largest share of the viewport width a zoomed-in frame may cover
+export const MAX_ZOOM_WIDTH_SHARE = 0.9;
+// Wheel zoom: frustum scale per pixel of wheel delta (trackpad pinch sends ctrl+wheel with small deltas)
+export const WHEEL_ZOOM_SENSITIVITY = 0.002;
+export const PINCH_ZOOM_SENSITIVITY = 0.01;
+// Share of the way from the full sheet to the close-up at which wheel zoom snaps to a frame
+export const ZOOM_SNAP_THRESHOLD = 0.75;
+// Scene height of a full cell in the default layout, which the zoom level is tuned for
+const DEFAULT_FRAME_HEIGHT = new GridLayout().getImageDimensions().height;
+// Free panning: how far release velocity carries the sheet, and how it settles
+export const FREE_PAN = {
+    MOMENTUM_TIME: 300, // ms of release velocity carried on as momentum
+    MOMENTUM_DURATION: 0.8,
+    SETTLE_DURATION: 0.4,
+    RUBBER_BAND: 0.55 // Resistance past the edges - lower is stiffer
+};
+// Live pinch: how far past the close-up level the fingers can push, and how a release settles
+export const PINCH_ZOOM = {
+    MAX_OVERZOOM: 1.6, // The frustum can shrink to the close-up size divided by this
+    DETAIL_SCALE: 1.25, // Released at least this far past the close-up level, the detail view opens
+    FRAME_THRESHOLD: 0.5 // Zoom progress from which a release settles on a frame rather than the sheet
+};
 export const ANIMATION_DURATIONS = {
     INITIAL_ZOOM: 1,
     SUBSEQUENT_MOVEMENT: 0.3,
     ZOOM_OUT_POSITION: 0.57,
     ZOOM_OUT_FRUSTUM: 0.85,
-    ZOOM_OUT_DELAY: 0.25
+    ZOOM_OUT_DELAY: 0.25,
+    // Each half of the fade that replaces camera flights in reduced-motion mode
+    REDUCED_MOTION_FADE: 0.12
 };
 
 // Event listener management utilities
@@ -29,51 +54,74 @@ export function removeEventListeners(eventListeners) {
     return [];
 }
 
-// Helper to determine if a given UV coordinate is over an image
-export function isOverImage(uv, layout) {
+// Helper to determine if a given UV coordinate is over an image.
+// frameBounds (optional) holds each frame's real footprint by [row][col]; without it
+// the whole cell counts as the image. Empty cells in a partial last row never match.
+export function isOverImage(uv, layout, frameBounds = null) {
     if (!uv) return false;
     
-    const gridX = Math.floor((uv.x * layout.sheetWidth - layout.firstImageX) / (layout.imageWidth + layout.horizontalMargin));
-    const gridY = Math.floor(((1 - uv.y) * layout.sheetHeight - layout.firstImageY) / (layout.imageHeight + layout.verticalMargin));
+    const pixelX = uv.x * layout.sheetWidth;
+    const pixelY = (1 - uv.y) * layout.sheetHeight;
+    const { row: gridY, col: gridX } = layout.getCellAtSheetPoint(pixelX, pixelY);
     
-    if (gridX < 0 || gridX >= layout.columns || gridY < 0 || gridY >= layout.rows) {
+    if (!layout.hasImage(gridY, gridX)) {
         return false;
     }
     
-    const imageX = layout.firstImageX + (gridX * (layout.imageWidth + layout.horizontalMargin));
-    const imageY = layout.firstImageY + (gridY * (layout.imageHeight + layout.verticalMargin));
+    const bounds = frameBounds && frameBounds[gridY] && frameBounds[gridY][gridX];
+    const width = bounds ? bounds.width : layout.imageWidth;
+    const height = bounds ? bounds.height : layout.imageHeight;
     
-    const pixelX = uv.x * layout.sheetWidth;
-    const pixelY = (1 - uv.y) * layout.sheetHeight;
+    // Frames are centered in their cells
+    const imageX = layout.firstImageX + (gridX * (layout.imageWidth + layout.horizontalMargin)) + (layout.imageWidth - width) / 2;
+    const imageY = layout.firstImageY + (gridY * (layout.imageHeight + layout.verticalMargin)) + (layout.imageHeight - height) / 2;
     
     return pixelX >= imageX && 
-           pixelX <= imageX + layout.imageWidth &&
+           pixelX <= imageX + width &&
            pixelY >= imageY && 
-           pixelY <= imageY + layout.imageHeight;
+           pixelY <= imageY + height;
 }
 
-// Calculate camera bounds for the sheet
+// Calculate camera bounds for the sheet: the range of image centers, so the
+// camera can reach every frame (including those in a partial last row)
 export function calculateBounds(layout) {
-    const imageDims = layout.getImageDimensions();
-    const halfWidth = imageDims.width / 2;
-    const halfHeight = imageDims.height / 2;
+    const first = layout.getImagePosition(0, 0);
+    const last = layout.getImagePosition(layout.getFilledRows() - 1, layout.columns - 1);
     
     return {
-        left: -halfWidth * (layout.columns - 1),
-        right: halfWidth * (layout.columns - 1),
-        top: halfHeight * (layout.rows - 1),
-        bottom: -halfHeight * (layout.rows - 1)
+        left: first.x,
+        right: last.x,
+        top: first.y,
+        bottom: last.y
     };
 }
 
-// Find the nearest image to a given position
-export function findNearestImage(x, y, layout) {
+// Resistance past an edge: the further past, the less the sheet follows (like iOS scroll views).
+// dimension is the visible extent the overshoot is measured against.
+export function rubberBand(overshoot, dimension, constant = FREE_PAN.RUBBER_BAND) {
+    if (dimension <= 0) return 0;
+    return Math.sign(overshoot) * (1 - 1 / (Math.abs(overshoot) * constant / dimension + 1)) * dimension;
+}
+
+// Constrain a value to [min, max] with rubber-band resistance beyond either end
+export function applyRubberBand(value, min, max, dimension) {
+    if (value < min) return min + rubberBand(value - min, dimension);
+    if (value > max) return max + rubberBand(value - max, dimension);
+    return value;
+}
+
+// Find the nearest image to a given position, only among those isShown(row, col) accepts
+// when given; null when it accepts none
+export function findNearestImage(x, y, layout, isShown = null) {
     let minDist = Infinity;
     let nearestRow = 0;
     let nearestCol = 0;
     
     for (let row = 0; row < layout.rows; row++) {
         for (let col = 0; col < layout.columns; col++) {
+            if (!layout.hasImage(row, col)) continue;
+            if (isShown && !isShown(row, col)) continue;
+            
             const pos = layout.getImagePosition(row, col);
             const dist = Math.sqrt(
                 Math.pow(x - pos.x, 2) +
@@ -88,9 +136,25 @@ export function findNearestImage(x, y, layout) {
         }
     }
     
+    if (minDist === Infinity && isShown) return null;
+    
     return { row: nearestRow, col: nearestCol };
 }
 
+// Wheel delta in pixels whatever unit the browser reports, capped so one
+// notch of a coarse mouse wheel can't jump the whole zoom range
+export function normalizeWheelDelta(event) {
+    let delta = event.deltaY;
+    
+    if (event.deltaMode === 1) {
+        delta *= 16; // Lines
+    } else if (event.deltaMode === 2) {
+        delta *= window.innerHeight; // Pages
+    }
+    
+    return Math.max(-100, Math.min(100, delta));
+}
+
 // Simple device type detection utilities
 export function isDesktopOrTablet() {
     return window.innerWidth >= 768;
@@ -100,8 +164,10 @@ export function isMobile() {
     return window.innerWidth < 768;
 }
 
-// Calculate zoom frustum for image detail view
-export function calculateZoomFrustum() {
+// Calculate zoom frustum for image detail view.
+// Pass a frame's real bounds (sheet pixels) and the layout to frame that image
+// instead of a standard full-cell frame.
+export function calculateZoomFrustum(frameBounds = null, layout = null) {
     // Zoom level multiplier - adjust this value to change how close the camera zooms:
     // - Higher values (e.g., 0.7, 0.8) will make the image appear smaller (zoomed out)
     // - Lower values (e.g., 0.3, 0.4) will make the image appear larger (zoomed in)
@@ -113,16 +179,28 @@ export function calculateZoomFrustum() {
     
     // Calculate the frustum size needed to achieve this
     // The image height is 900px, and we want it to be targetHeight pixels tall
-    const frustumSize = (targetHeight / 900) * 2; // *2 because frustum is total height
+    let frustumSize = (targetHeight / 900) * 2; // *2 because frustum is total height
+    const aspect = window.innerWidth / window.innerHeight;
+    
+    if (frameBounds && layout) {
+        // Show the frame's real height the way a full-height cell of the default
+        // layout would be shown...
+        frustumSize *= (frameBounds.height * layout.scale) / DEFAULT_FRAME_HEIGHT;
+        
+        // ...without letting wide frames spill past the sides of the viewport
+        const frameWidth = frameBounds.width * layout.scale;
+        frustumSize = Math.max(frustumSize, frameWidth / (aspect * MAX_ZOOM_WIDTH_SHARE));
+    }
     
     return {
         size: frustumSize,
-        aspect: window.innerWidth / window.innerHeight
+        aspect
     };
 }
 
-// Update camera projection matrix on resize
-export function handleResize(camera, state, originalFrustum) {
+// Update camera projection matrix on resize.
+// getZoomFrustum lets the caller frame the current image's real bounds.
+export function handleResize(camera, state, originalFrustum, getZoomFrustum = calculateZoomFrustum) {
     // Always recalculate the correct frustum based on current aspect ratio
     const aspect = window.innerWidth / window.innerHeight;
     const frustumSize = aspect > 1 ? 4 : 4 / aspect;
@@ -144,7 +222,7 @@ export function handleResize(camera, state, originalFrustum) {
         originalFrustum.bottom = -halfHeight;
     } else {
         // If zoomed in, we should maintain the zoom level but adjust for the new aspect ratio
-        const { size, aspect: newAspect } = calculateZoomFrustum();
+        const { size, aspect: newAspect } = getZoomFrustum();
         const halfSize = size / 2;
         
         camera.left = -halfSize * newAspect;
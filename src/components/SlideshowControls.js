@@ -0,0 +1,117 @@
+import { SLIDESHOW_SPEEDS } from '../core/Slideshow.js';
+
+const ORDERS = [
+    { order: 'reading', label: 'Reading order' },
+    { order: 'curated', label: 'Curated order' }
+];
+
+// Slideshow controls: previous, play/pause and next, then speed, order and whether
+// each frame opens in the detail view
+export class SlideshowControls {
+    constructor(container, callbacks) {
+        this.container = container;
+        this.callbacks = callbacks;
+        this.buttons = new Map();
+
+        this.element = document.createElement('div');
+        this.element.className = 'slideshow-controls';
+        this.element.setAttribute('role', 'toolbar');
+        this.element.setAttribute('aria-label', 'Slideshow');
+
+        this.addButton('prev', 'Previous');
+        this.addButton('play', 'Play');
+        this.addButton('next', 'Next');
+
+        this.speed = this.addSelect('Slideshow speed',
+            SLIDESHOW_SPEEDS.map(({ interval, name }) => ({ value: String(interval), label: name })));
+        this.order = this.addSelect('Slideshow order',
+            ORDERS.map(({ order, label }) => ({ value: order, label })));
+
+        this.addButton('detail', 'Details');
+
+        // Single delegated handlers so controls don't need individual cleanup
+        this.clickHandler = (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button || button.disabled) return;
+
+            const callback = {
+                prev: this.callbacks.onPrev,
+                play: this.callbacks.onTogglePlay,
+                next: this.callbacks.onNext,
+                detail: this.callbacks.onToggleDetail
+            }[button.dataset.action];
+
+            if (callback) callback();
+        };
+
+        this.changeHandler = (event) => {
+            if (event.target === this.speed && this.callbacks.onSpeed) {
+                this.callbacks.onSpeed(Number(this.speed.value));
+            } else if (event.target === this.order && this.callbacks.onOrder) {
+                this.callbacks.onOrder(this.order.value);
+            }
+        };
+
+        this.element.addEventListener('click', this.clickHandler);
+        this.element.addEventListener('change', this.changeHandler);
+
+        this.container.appendChild(this.element);
+    }
+
+    addButton(action, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'nav-button';
+        button.textContent = label;
+        button.dataset.action = action;
+
+        this.element.appendChild(button);
+        this.buttons.set(action, button);
+    }
+
+    addSelect(label, options) {
+        const select = document.createElement('select');
+        select.className = 'nav-button';
+        select.setAttribute('aria-label', label);
+
+        options.forEach(({ value, label: text }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+
+        this.element.appendChild(select);
+        return select;
+    }
+
+    // Reflect the slideshow: { isPlaying, interval, order, hasCuratedOrder, inDetail }
+    update(state) {
+        const play = this.buttons.get('play');
+        play.textContent = state.isPlaying ? 'Pause' : 'Play';
+        play.setAttribute('aria-pressed', state.isPlaying ? 'true' : 'false');
+
+        this.speed.value = String(state.interval);
+        this.order.value = state.order;
+
+        // Curated order needs a "slideshow" list in the manifest
+        this.order.querySelector('option[value="curated"]').disabled = !state.hasCuratedOrder;
+
+        this.buttons.get('detail').setAttribute('aria-pressed', state.inDetail ? 'true' : 'false');
+    }
+
+    contains(element) {
+        return this.element.contains(element);
+    }
+
+    dispose() {
+        this.element.removeEventListener('click', this.clickHandler);
+        this.element.removeEventListener('change', this.changeHandler);
+
+        if (this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+
+        this.buttons.clear();
+    }
+}
@@ -0,0 +1,56 @@
+// Debug readout of the current sheet's texture memory, shown when the page is opened with
+// ?debug in its URL. getStats() returns ContactSheet.getTextureStats(), or null.
+
+// Milliseconds between refreshes
+const UPDATE_INTERVAL = 1000;
+const MEGABYTE = 1024 * 1024;
+
+// Whether the page was opened with the debug flag
+export function isDebugEnabled(search = window.location.search) {
+    return new URLSearchParams(search).has('debug');
+}
+
+function formatMegabytes(bytes) {
+    return `${(bytes / MEGABYTE).toFixed(1)} MB`;
+}
+
+export class TextureStatsOverlay {
+    constructor(container, getStats) {
+        this.container = container;
+        this.getStats = getStats;
+
+        this.element = document.createElement('pre');
+        this.element.className = 'texture-stats';
+        this.element.setAttribute('aria-hidden', 'true');
+        this.container.appendChild(this.element);
+
+        this.update();
+        this.timer = setInterval(() => this.update(), UPDATE_INTERVAL);
+    }
+
+    update() {
+        const stats = this.getStats();
+
+        if (!stats) {
+            this.element.textContent = 'Textures: no sheet';
+            return;
+        }
+
+        this.element.textContent = [
+            `Textures: ${stats.count} · ${formatMegabytes(stats.bytes)} of ${formatMegabytes(stats.budget)}`,
+            `Peak: ${formatMegabytes(stats.peakBytes)}`,
+            `Pinned: ${stats.pinnedCount} · ${formatMegabytes(stats.pinnedBytes)}`,
+            `Evictions: ${stats.evictions}`,
+            `Atlas: ${formatMegabytes(stats.atlasBytes)}`
+        ].join('\n');
+    }
+
+    dispose() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
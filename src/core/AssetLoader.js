@@ -1,22 +1,78 @@
 import * as THREE from 'three';
+import { TextureCache, TEXTURE_BUDGET } from './TextureCache.js';
 
+function fetchBlob(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error(`Unable to load ${url} (HTTP ${response.status})`);
+        }
+        return response.blob();
+    });
+}
+
+// Decode a downloaded image file into an HTMLImageElement for a texture
+function decodeImage(blob) {
+    return new Promise((resolve, reject) => {
+        const objectUrl = URL.createObjectURL(blob);
+        const image = new Image();
+        
+        image.onload = () => {
+            URL.revokeObjectURL(objectUrl);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(objectUrl);
+            reject(new Error('Unable to decode image'));
+        };
+        image.src = objectUrl;
+    });
+}
+
+// Loads every asset of a sheet through one THREE.LoadingManager, so the page can show
+// progress. Progress is reported per batch: a batch starts when something is requested
+// while nothing else is loading, and ends with callbacks.onLoad() once all of it is in.
 export class AssetLoader {
-    constructor() {
-        this.textureLoader = new THREE.TextureLoader();
+    // callbacks: onProgress({ url, loaded, total }) after each asset of a batch, onLoad(),
+    // onError(url) and onTextureEvicted(url) when a texture is dropped to stay within
+    // textureBudget bytes
+    constructor(callbacks = {}, textureBudget = TEXTURE_BUDGET.DESKTOP) {
+        this.callbacks = callbacks;
         this.loadingManager = new THREE.LoadingManager();
-        this.cache = new Map();
+        this.cache = new TextureCache({
+            onEvict: (url) => {
+                if (this.callbacks.onTextureEvicted) this.callbacks.onTextureEvicted(url);
+            }
+        }, textureBudget);
+        
+        // Textures still loading, so concurrent requests for a URL share one download, and
+        // their downloaded files, which loadBytes() reads from while they last
+        this.pending = new Map();
+        this.downloads = new Map();
+        
+        // Assets already loaded when the current batch started, and the keys holding it open
+        this.batchStart = 0;
+        this.batchHolds = new Set();
         
         this.setupLoadingManager();
     }
     
     setupLoadingManager() {
+        this.loadingManager.onStart = (url, loaded) => {
+            this.batchStart = loaded;
+        };
+        
         this.loadingManager.onProgress = (url, loaded, total) => {
-            const progress = (loaded / total) * 100;
-            // We can add loading UI updates here
+            if (this.callbacks.onProgress) {
+                this.callbacks.onProgress({
+                    url,
+                    loaded: loaded - this.batchStart,
+                    total: total - this.batchStart - this.batchHolds.size
+                });
+            }
         };
         
         this.loadingManager.onLoad = () => {
-            // Handle all assets loaded
+            if (this.callbacks.onLoad) this.callbacks.onLoad();
         };
         
         this.loadingManager.onError = (url) => {
@@ -25,29 +81,94 @@ export class AssetLoader {
             document.dispatchEvent(new CustomEvent('asset-load-error', { 
                 detail: { url, message: 'Failed to load resource' }
             }));
+            
+            if (this.callbacks.onError) this.callbacks.onError(url);
         };
     }
     
-    async loadTexture(url) {
+    // Load a photo as an sRGB texture, cached within the texture budget. The downloaded
+    // file is let go once it is decoded, so the budget covers what the cache holds.
+    loadTexture(url) {
         if (this.cache.has(url)) {
-            return this.cache.get(url);
+            this.cache.touch(url);
+            return Promise.resolve(this.cache.get(url));
+        }
+        
+        if (this.pending.has(url)) {
+            return this.pending.get(url);
         }
         
-        return new Promise((resolve, reject) => {
-            this.textureLoader.load(
-                url,
-                (texture) => {
-                    this.cache.set(url, texture);
-                    resolve(texture);
-                },
-                undefined,
-                (error) => reject(error)
-            );
-        });
+        const file = fetchBlob(url);
+        this.downloads.set(url, file);
+        
+        const download = file
+            .then(async blob => {
+                const texture = new THREE.Texture(await decodeImage(blob));
+                texture.colorSpace = THREE.SRGBColorSpace;
+                texture.needsUpdate = true;
+                return texture;
+            });
+        
+        const promise = this.track(url, download)
+            .then(texture => {
+                this.pending.delete(url);
+                this.downloads.delete(url);
+                this.cache.set(url, texture);
+                return texture;
+            }, error => {
+                this.pending.delete(url);
+                this.downloads.delete(url);
+                throw error;
+            });
+        
+        this.pending.set(url, promise);
+        
+        return promise;
+    }
+    
+    // The raw bytes of a file, as an ArrayBuffer. A texture download of the same URL still
+    // in progress is shared; otherwise the file is fetched on its own, without decoding or
+    // caching a texture.
+    loadBytes(url) {
+        const file = this.downloads.get(url) || fetchBlob(url);
+        return file.then(blob => blob.arrayBuffer());
+    }
+    
+    // Count any other request (e.g. a manifest fetch) as an asset of the current batch
+    track(url, promise) {
+        this.loadingManager.itemStart(url);
+        
+        return promise
+            .catch(error => {
+                this.loadingManager.itemError(url);
+                throw error;
+            })
+            .finally(() => this.loadingManager.itemEnd(url));
+    }
+    
+    // Keep the current batch open until releaseBatch(key), so assets requested one after
+    // another (a manifest, then the frames it lists) are reported as a single batch
+    holdBatch(key) {
+        if (this.batchHolds.has(key)) return;
+        
+        this.batchHolds.add(key);
+        this.loadingManager.itemStart(key);
+    }
+    
+    releaseBatch(key) {
+        if (!this.batchHolds.delete(key)) return;
+        
+        this.loadingManager.itemEnd(key);
+    }
+    
+    getStats() {
+        return this.cache.getStats();
     }
     
     clearCache() {
         this.cache.forEach(texture => texture.dispose());
         this.cache.clear();
+        this.pending.clear();
+        this.downloads.clear();
     }
-} 
\ No newline at end of file
+}
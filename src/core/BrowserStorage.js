@@ -0,0 +1,9 @@
+// localStorage, or null where it is unavailable (blocked cookies, private modes, Node scripts)
+export function getLocalStorage() {
+    try {
+        return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+    } catch (error) {
+        // Accessing localStorage throws when storage is blocked
+        return null;
+    }
+}
@@ -0,0 +1,43 @@
+// The look frames are drawn with, remembered in localStorage across visits.
+// No Three.js or DOM dependencies beyond the optional storage object.
+
+import { getLocalStorage } from './BrowserStorage.js';
+
+// 'film' adds grain, halation and vignette, and inactive frames desaturate and soften;
+// 'plain' is the original look (inactive frames just darken) and the fallback where the
+// film shader can't be used
+export const FRAME_LOOKS = {
+    FILM: 'film',
+    PLAIN: 'plain'
+};
+
+export const DEFAULT_FRAME_LOOK = FRAME_LOOKS.FILM;
+
+const STORAGE_KEY = 'contact-sheet-frame-look';
+
+function isFrameLook(value) {
+    return Object.values(FRAME_LOOKS).includes(value);
+}
+
+// The saved look, or DEFAULT_FRAME_LOOK when none (or an unknown one) is saved
+export function loadFrameLook(storage = getLocalStorage()) {
+    if (!storage) return DEFAULT_FRAME_LOOK;
+
+    try {
+        const saved = storage.getItem(STORAGE_KEY);
+        return isFrameLook(saved) ? saved : DEFAULT_FRAME_LOOK;
+    } catch (error) {
+        return DEFAULT_FRAME_LOOK;
+    }
+}
+
+export function saveFrameLook(look, storage = getLocalStorage()) {
+    if (!storage || !isFrameLook(look)) return;
+
+    try {
+        storage.setItem(STORAGE_KEY, look);
+    } catch (error) {
+        // Storage full or disabled: the look stays for this visit
+        console.warn('Unable to save the frame look:', error);
+    }
+}
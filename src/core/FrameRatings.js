@@ -0,0 +1,126 @@
+// Lightroom-style culling: a 0–5 star rating and an optional color label per frame,
+// kept per sheet in localStorage and keyed by the frame's file so they survive reordering.
+// No Three.js or DOM dependencies beyond the optional storage object.
+
+import { getLocalStorage } from './BrowserStorage.js';
+
+export const MAX_RATING = 5;
+
+export const COLOR_LABELS = [
+    { id: 'red', name: 'Red', color: '#e0301e' },
+    { id: 'yellow', name: 'Yellow', color: '#f2c230' },
+    { id: 'green', name: 'Green', color: '#4caf50' },
+    { id: 'blue', name: 'Blue', color: '#3d7de0' },
+    { id: 'purple', name: 'Purple', color: '#9b59b6' }
+];
+
+// Lightroom's shortcuts: 0–5 set the rating, 6–9 toggle a color label
+const LABEL_KEYS = { 6: 'red', 7: 'yellow', 8: 'green', 9: 'blue' };
+
+const STORAGE_PREFIX = 'contact-sheet-ratings:';
+
+export function getRatingsStorageKey(sheetId) {
+    return `${STORAGE_PREFIX}${sheetId}`;
+}
+
+export function getColorLabel(id) {
+    return COLOR_LABELS.find(label => label.id === id) || null;
+}
+
+// What a key press does: { rating }, { label } or null for other keys
+export function getRatingKeyAction(key) {
+    if (/^[0-9]$/.test(key) && Number(key) <= MAX_RATING) {
+        return { rating: Number(key) };
+    }
+
+    return LABEL_KEYS[key] ? { label: LABEL_KEYS[key] } : null;
+}
+
+// Announcement for a frame's rating and label, e.g. "3 stars, Red label"
+export function describeRating({ rating, label }) {
+    const stars = rating === 1 ? '1 star' : `${rating} stars`;
+    const colorLabel = getColorLabel(label);
+
+    return colorLabel ? `${stars}, ${colorLabel.name} label` : stars;
+}
+
+function isValidEntry(entry) {
+    return entry !== null && typeof entry === 'object' &&
+        Number.isInteger(entry.rating) && entry.rating >= 0 && entry.rating <= MAX_RATING &&
+        (entry.label === null || Boolean(getColorLabel(entry.label)));
+}
+
+// The ratings and labels of one sheet's frames. Every change is saved to storage and
+// reported through onChange(file, { rating, label }).
+export class FrameRatings {
+    constructor(sheetId, callbacks = {}, storage = getLocalStorage()) {
+        this.sheetId = sheetId;
+        this.callbacks = callbacks;
+        this.storage = storage;
+        this.frames = {};
+
+        this.load();
+    }
+
+    // Entries that can't be read are dropped rather than breaking the sheet
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(getRatingsStorageKey(this.sheetId)) || '{}');
+
+            Object.keys(saved).forEach(file => {
+                if (isValidEntry(saved[file])) {
+                    this.frames[file] = { rating: saved[file].rating, label: saved[file].label };
+                }
+            });
+        } catch (error) {
+            console.warn(`Ignoring saved ratings for sheet "${this.sheetId}":`, error);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            if (Object.keys(this.frames).length > 0) {
+                this.storage.setItem(getRatingsStorageKey(this.sheetId), JSON.stringify(this.frames));
+            } else {
+                this.storage.removeItem(getRatingsStorageKey(this.sheetId));
+            }
+        } catch (error) {
+            // Storage full or disabled: the ratings stay for this visit
+            console.warn(`Unable to save ratings for sheet "${this.sheetId}":`, error);
+        }
+    }
+
+    get(file) {
+        const entry = this.frames[file];
+        return entry ? { ...entry } : { rating: 0, label: null };
+    }
+
+    setRating(file, rating) {
+        this.update(file, { rating: Math.max(0, Math.min(MAX_RATING, rating)) });
+    }
+
+    // Set a color label, or remove it if the frame already has that label
+    toggleLabel(file, label) {
+        this.update(file, { label: this.get(file).label === label ? null : label });
+    }
+
+    update(file, changes) {
+        const entry = { ...this.get(file), ...changes };
+
+        if (entry.rating === 0 && entry.label === null) {
+            delete this.frames[file];
+        } else {
+            this.frames[file] = entry;
+        }
+
+        this.save();
+
+        if (this.callbacks.onChange) {
+            this.callbacks.onChange(file, entry);
+        }
+    }
+}
@@ -0,0 +1,489 @@
+// Pure JavaScript JPEG metadata parser.
+// Reads EXIF (APP1), XMP (APP1) and IPTC captions (APP13) from the raw file bytes,
+// plus the pixel dimensions from the frame header. No DOM or Three.js dependencies.
+
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const PHOTOSHOP_HEADER = 'Photoshop 3.0\0';
+const IPTC_RESOURCE_ID = 0x0404;
+
+// TIFF tags we care about, grouped by the IFD they live in
+const IFD0_TAGS = {
+    0x010E: 'imageDescription',
+    0x010F: 'make',
+    0x0110: 'model',
+    0x0112: 'orientation',
+    0x0132: 'dateTime',
+    0x013B: 'artist',
+    0x8298: 'copyright',
+    0x8769: 'exifIfdPointer',
+    0x8825: 'gpsIfdPointer'
+};
+
+const EXIF_TAGS = {
+    0x829A: 'exposureTime',
+    0x829D: 'fNumber',
+    0x8827: 'iso',
+    0x9003: 'dateTimeOriginal',
+    0x9011: 'offsetTimeOriginal',
+    0x9204: 'exposureBias',
+    0x920A: 'focalLength',
+    0xA405: 'focalLengthIn35mm',
+    0xA433: 'lensMake',
+    0xA434: 'lensModel'
+};
+
+const GPS_TAGS = {
+    0x0001: 'latitudeRef',
+    0x0002: 'latitude',
+    0x0003: 'longitudeRef',
+    0x0004: 'longitude',
+    0x0005: 'altitudeRef',
+    0x0006: 'altitude'
+};
+
+// IPTC IIM record 2 datasets
+const IPTC_TAGS = {
+    5: 'title',
+    25: 'keywords',
+    80: 'creator',
+    90: 'city',
+    101: 'country',
+    116: 'copyright',
+    120: 'caption'
+};
+
+// Byte sizes of TIFF field types
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8 };
+
+const latin1Decoder = new TextDecoder('latin1');
+const utf8Decoder = new TextDecoder('utf-8');
+
+function toBytes(buffer) {
+    if (buffer instanceof Uint8Array) return buffer;
+    if (buffer instanceof ArrayBuffer) return new Uint8Array(buffer);
+    throw new TypeError('parseJpegMetadata expects an ArrayBuffer or Uint8Array');
+}
+
+function startsWith(bytes, offset, text) {
+    if (offset + text.length > bytes.length) return false;
+    for (let i = 0; i < text.length; i++) {
+        if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+    }
+    return true;
+}
+
+function cleanString(text) {
+    const trimmed = text.replace(/\0+$/, '').trim();
+    return trimmed === '' ? null : trimmed;
+}
+
+// Walk the marker segments up to the start of scan data
+function readSegments(bytes) {
+    if (bytes.length < 4 || bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+        throw new Error('Not a JPEG file (missing SOI marker)');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const segments = [];
+    let offset = 2;
+
+    while (offset + 4 <= bytes.length) {
+        if (bytes[offset] !== 0xFF) {
+            throw new Error(`Corrupt JPEG: expected a marker at byte ${offset}`);
+        }
+
+        const marker = bytes[offset + 1];
+
+        // Fill bytes and standalone markers have no length
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+            offset += 2;
+            continue;
+        }
+
+        // Start of scan or end of image: no more metadata follows
+        if (marker === 0xDA || marker === 0xD9) break;
+
+        const length = view.getUint16(offset + 2);
+        const start = offset + 4;
+        const end = offset + 2 + length;
+
+        if (length < 2 || end > bytes.length) {
+            throw new Error(`Corrupt JPEG: segment at byte ${offset} overruns the file`);
+        }
+
+        segments.push({ marker, start, end });
+        offset = end;
+    }
+
+    return { view, segments };
+}
+
+// Read the pixel size from a start-of-frame segment (SOF0-SOF15, excluding DHT/JPG/DAC)
+function readFrameSize(view, segment) {
+    const { marker, start } = segment;
+    const isFrameHeader = marker >= 0xC0 && marker <= 0xCF &&
+        marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+
+    if (!isFrameHeader) return null;
+
+    return {
+        height: view.getUint16(start + 1),
+        width: view.getUint16(start + 3)
+    };
+}
+
+// Read a single TIFF field value
+function readTiffValue(view, tiffStart, entryOffset, littleEndian) {
+    const type = view.getUint16(entryOffset + 2, littleEndian);
+    const count = view.getUint32(entryOffset + 4, littleEndian);
+    const size = TYPE_SIZES[type];
+
+    if (!size) return undefined;
+
+    const totalSize = size * count;
+    const valueOffset = totalSize > 4
+        ? tiffStart + view.getUint32(entryOffset + 8, littleEndian)
+        : entryOffset + 8;
+
+    if (valueOffset + totalSize > view.byteLength) return undefined;
+
+    if (type === 2) {
+        const bytes = new Uint8Array(view.buffer, view.byteOffset + valueOffset, count);
+        return cleanString(utf8Decoder.decode(bytes));
+    }
+
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        const offset = valueOffset + i * size;
+        switch (type) {
+            case 1:
+            case 7:
+                values.push(view.getUint8(offset));
+                break;
+            case 6:
+                values.push(view.getInt8(offset));
+                break;
+            case 3:
+                values.push(view.getUint16(offset, littleEndian));
+                break;
+            case 8:
+                values.push(view.getInt16(offset, littleEndian));
+                break;
+            case 4:
+                values.push(view.getUint32(offset, littleEndian));
+                break;
+            case 9:
+                values.push(view.getInt32(offset, littleEndian));
+                break;
+            case 5:
+            case 10: {
+                const read = type === 5 ? 'getUint32' : 'getInt32';
+                const numerator = view[read](offset, littleEndian);
+                const denominator = view[read](offset + 4, littleEndian);
+                values.push(denominator === 0 ? null : numerator / denominator);
+                break;
+            }
+        }
+    }
+
+    return count === 1 ? values[0] : values;
+}
+
+// Read the tags we know about from one IFD
+function readIfd(view, tiffStart, ifdOffset, littleEndian, tags) {
+    const result = {};
+    const start = tiffStart + ifdOffset;
+
+    if (ifdOffset <= 0 || start + 2 > view.byteLength) return result;
+
+    const entryCount = view.getUint16(start, littleEndian);
+
+    for (let i = 0; i < entryCount; i++) {
+        const entryOffset = start + 2 + i * 12;
+        if (entryOffset + 12 > view.byteLength) break;
+
+        const name = tags[view.getUint16(entryOffset, littleEndian)];
+        if (!name) continue;
+
+        const value = readTiffValue(view, tiffStart, entryOffset, littleEndian);
+        if (value !== undefined && value !== null) {
+            result[name] = value;
+        }
+    }
+
+    return result;
+}
+
+function parseExif(view, start, end) {
+    const tiffStart = start + EXIF_HEADER.length;
+    if (tiffStart + 8 > end) return {};
+
+    const byteOrder = view.getUint16(tiffStart);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return {};
+
+    const littleEndian = byteOrder === 0x4949;
+    const tiffView = new DataView(view.buffer, view.byteOffset, end);
+    const ifd0 = readIfd(tiffView, tiffStart, tiffView.getUint32(tiffStart + 4, littleEndian), littleEndian, IFD0_TAGS);
+
+    const exif = ifd0.exifIfdPointer
+        ? readIfd(tiffView, tiffStart, ifd0.exifIfdPointer, littleEndian, EXIF_TAGS)
+        : {};
+    const gps = ifd0.gpsIfdPointer
+        ? readIfd(tiffView, tiffStart, ifd0.gpsIfdPointer, littleEndian, GPS_TAGS)
+        : {};
+
+    return { ...ifd0, ...exif, gps };
+}
+
+// Read IPTC datasets from the Photoshop image resource block
+function parseIptc(bytes, view, start, end) {
+    const result = {};
+    let offset = start + PHOTOSHOP_HEADER.length;
+
+    while (offset + 12 <= end && startsWith(bytes, offset, '8BIM')) {
+        const resourceId = view.getUint16(offset + 4);
+
+        // Pascal string name, padded to an even length
+        const nameLength = bytes[offset + 6];
+        let dataOffset = offset + 7 + nameLength;
+        if ((nameLength + 1) % 2 !== 0) dataOffset++;
+
+        const size = view.getUint32(dataOffset);
+        dataOffset += 4;
+
+        if (dataOffset + size > end) break;
+
+        if (resourceId === IPTC_RESOURCE_ID) {
+            Object.assign(result, parseIptcRecords(bytes, view, dataOffset, dataOffset + size));
+        }
+
+        offset = dataOffset + size + (size % 2);
+    }
+
+    return result;
+}
+
+function parseIptcRecords(bytes, view, start, end) {
+    const result = {};
+    let decoder = latin1Decoder;
+    let offset = start;
+
+    while (offset + 5 <= end && bytes[offset] === 0x1C) {
+        const record = bytes[offset + 1];
+        const dataset = bytes[offset + 2];
+        const size = view.getUint16(offset + 3);
+        const dataStart = offset + 5;
+
+        if (dataStart + size > end) break;
+
+        const data = bytes.subarray(dataStart, dataStart + size);
+
+        // 1:90 declares the character set; ESC % G means UTF-8
+        if (record === 1 && dataset === 90 && data[0] === 0x1B && data[1] === 0x25 && data[2] === 0x47) {
+            decoder = utf8Decoder;
+        }
+
+        const name = record === 2 ? IPTC_TAGS[dataset] : null;
+        if (name) {
+            const value = cleanString(decoder.decode(data));
+            if (value && name === 'keywords') {
+                result.keywords = (result.keywords || []).concat(value);
+            } else if (value) {
+                result[name] = value;
+            }
+        }
+
+        offset = dataStart + size;
+    }
+
+    return result;
+}
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+// Read a property written either as an attribute or as an element (optionally an rdf:Alt/Seq/Bag)
+function readXmpProperty(xml, name) {
+    const escaped = name.replace(':', '\\:');
+    const attribute = xml.match(new RegExp(`\\s${escaped}="([^"]*)"`));
+    if (attribute) return cleanString(decodeXmlEntities(attribute[1]));
+
+    const element = xml.match(new RegExp(`<${escaped}(?:\\s[^>]*)?>([\\s\\S]*?)</${escaped}>`));
+    if (!element) return null;
+
+    const listItem = element[1].match(/<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/);
+    return cleanString(decodeXmlEntities(listItem ? listItem[1] : element[1]));
+}
+
+// XMP GPS coordinates look like "47,29.1234N"
+function parseXmpCoordinate(value) {
+    if (!value) return null;
+
+    const match = value.match(/^(\d+),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/);
+    if (!match) return null;
+
+    const degrees = Number(match[1]) + Number(match[2]) / 60 + Number(match[3] || 0) / 3600;
+    return match[4] === 'S' || match[4] === 'W' ? -degrees : degrees;
+}
+
+function parseXmp(bytes, start, end) {
+    const xml = utf8Decoder.decode(bytes.subarray(start + XMP_HEADER.length, end));
+
+    return {
+        title: readXmpProperty(xml, 'dc:title'),
+        description: readXmpProperty(xml, 'dc:description'),
+        creator: readXmpProperty(xml, 'dc:creator'),
+        lens: readXmpProperty(xml, 'exifEX:LensModel') || readXmpProperty(xml, 'aux:Lens'),
+        dateCreated: readXmpProperty(xml, 'photoshop:DateCreated') || readXmpProperty(xml, 'xmp:CreateDate'),
+        city: readXmpProperty(xml, 'photoshop:City'),
+        country: readXmpProperty(xml, 'photoshop:Country'),
+        latitude: parseXmpCoordinate(readXmpProperty(xml, 'exif:GPSLatitude')),
+        longitude: parseXmpCoordinate(readXmpProperty(xml, 'exif:GPSLongitude'))
+    };
+}
+
+// Convert an EXIF "YYYY:MM:DD HH:MM:SS" timestamp (plus optional offset) to ISO 8601
+function toIsoDate(dateTime, offset) {
+    if (typeof dateTime !== 'string') return null;
+
+    const match = dateTime.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds] = match;
+    const zone = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : '';
+
+    return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}${zone}`;
+}
+
+function toDegrees(value, ref) {
+    if (!Array.isArray(value) || value.length !== 3 || value.some(part => !Number.isFinite(part))) return null;
+
+    const degrees = value[0] + value[1] / 60 + value[2] / 3600;
+    return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+function isCoordinate(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// GPS position from EXIF, else XMP; null when neither has both coordinates
+function buildGps(exifGps, xmp) {
+    const latitude = toDegrees(exifGps.latitude, exifGps.latitudeRef);
+    const longitude = toDegrees(exifGps.longitude, exifGps.longitudeRef);
+
+    if (isCoordinate(latitude) && isCoordinate(longitude)) {
+        const altitude = typeof exifGps.altitude === 'number'
+            ? (exifGps.altitudeRef === 1 ? -exifGps.altitude : exifGps.altitude)
+            : null;
+        return { latitude, longitude, altitude };
+    }
+
+    if (isCoordinate(xmp.latitude) && isCoordinate(xmp.longitude)) {
+        return { latitude: xmp.latitude, longitude: xmp.longitude, altitude: null };
+    }
+
+    return null;
+}
+
+// Combine make and model, dropping the make when the model already repeats it
+function buildCamera(make, model) {
+    if (!model) return make || null;
+    if (!make) return model;
+
+    const brand = make.split(/\s+/)[0].toLowerCase();
+    return model.toLowerCase().startsWith(brand) ? model : `${make} ${model}`;
+}
+
+// Parse everything we can from the bytes of a JPEG file.
+// Missing values are null; a file without metadata still returns its dimensions.
+export function parseJpegMetadata(buffer) {
+    const bytes = toBytes(buffer);
+    const { view, segments } = readSegments(bytes);
+
+    let size = null;
+    let exif = { gps: {} };
+    let xmp = {};
+    let iptc = {};
+
+    segments.forEach(segment => {
+        const { marker, start, end } = segment;
+
+        if (!size) {
+            size = readFrameSize(view, segment);
+        }
+
+        if (marker === 0xE1 && startsWith(bytes, start, EXIF_HEADER)) {
+            exif = parseExif(view, start, end);
+        } else if (marker === 0xE1 && startsWith(bytes, start, XMP_HEADER)) {
+            xmp = parseXmp(bytes, start, end);
+        } else if (marker === 0xED && startsWith(bytes, start, PHOTOSHOP_HEADER)) {
+            iptc = parseIptc(bytes, view, start, end);
+        }
+    });
+
+    return {
+        width: size ? size.width : null,
+        height: size ? size.height : null,
+        orientation: exif.orientation || 1,
+        camera: buildCamera(exif.make, exif.model),
+        lens: exif.lensModel || xmp.lens || null,
+        exposure: {
+            exposureTime: exif.exposureTime || null,
+            fNumber: exif.fNumber || null,
+            iso: Array.isArray(exif.iso) ? exif.iso[0] : (exif.iso || null),
+            focalLength: exif.focalLength || null,
+            exposureBias: typeof exif.exposureBias === 'number' ? exif.exposureBias : null
+        },
+        date: toIsoDate(exif.dateTimeOriginal || exif.dateTime, exif.offsetTimeOriginal) || xmp.dateCreated || null,
+        gps: buildGps(exif.gps, xmp),
+        title: iptc.title || xmp.title || null,
+        caption: iptc.caption || xmp.description || exif.imageDescription || null,
+        creator: iptc.creator || xmp.creator || exif.artist || null,
+        copyright: iptc.copyright || exif.copyright || null,
+        city: iptc.city || xmp.city || null,
+        country: iptc.country || xmp.country || null,
+        keywords: iptc.keywords || []
+    };
+}
+
+// Format exposure settings as e.g. "1/60 s · f/1.7 · ISO 800 · 28 mm"
+export function formatExposure(exposure) {
+    if (!exposure) return null;
+
+    const parts = [];
+    const { exposureTime, fNumber, iso, focalLength } = exposure;
+
+    if (exposureTime) {
+        parts.push(exposureTime >= 1
+            ? `${Number(exposureTime.toFixed(1))} s`
+            : `1/${Math.round(1 / exposureTime)} s`);
+    }
+    if (fNumber) parts.push(`f/${Number(fNumber.toFixed(1))}`);
+    if (iso) parts.push(`ISO ${iso}`);
+    if (focalLength) parts.push(`${Number(focalLength.toFixed(1))} mm`);
+
+    return parts.length > 0 ? parts.join(' · ') : null;
+}
+
+// Format GPS coordinates as e.g. "47.4979° N, 19.0402° E"
+export function formatCoordinates(gps) {
+    if (!gps) return null;
+
+    const latitude = `${Math.abs(gps.latitude).toFixed(4)}° ${gps.latitude < 0 ? 'S' : 'N'}`;
+    const longitude = `${Math.abs(gps.longitude).toFixed(4)}° ${gps.longitude < 0 ? 'W' : 'E'}`;
+
+    return `${latitude}, ${longitude}`;
+}
@@ -0,0 +1,21 @@
+// Reduced-motion preference. Follows the visitor's prefers-reduced-motion setting
+// unless overridden at runtime with setReducedMotion(true | false), e.g. from a site toggle;
+// setReducedMotion(null) goes back to the system setting.
+// Animations read it when they start, so a change applies from the next transition.
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+const mediaQuery = typeof window !== 'undefined' && window.matchMedia
+    ? window.matchMedia(REDUCED_MOTION_QUERY)
+    : null;
+
+let override = null;
+
+export function prefersReducedMotion() {
+    if (override !== null) return override;
+    return Boolean(mediaQuery && mediaQuery.matches);
+}
+
+export function setReducedMotion(value) {
+    override = value === null || value === undefined ? null : Boolean(value);
+}
@@ -0,0 +1,32 @@
+// Page side of the service worker (sw.js): registers it and asks it to precache each
+// sheet that is shown, so the sheet can be browsed again without a network.
+
+export const SERVICE_WORKER_URL = 'sw.js';
+
+function isSupported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+}
+
+// Register the service worker; resolves to the registration, or null where service
+// workers aren't available (e.g. over plain HTTP)
+export async function registerServiceWorker() {
+    if (!isSupported()) return null;
+
+    try {
+        return await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    } catch (error) {
+        console.error('Service worker registration failed:', error);
+        return null;
+    }
+}
+
+// Ask the service worker to cache a sheet's assets (urls) under its manifest version
+// (getManifestVersion). Older versions of the sheet's cache are dropped once it's done.
+export async function precacheSheet(sheetId, version, urls) {
+    if (!isSupported()) return;
+
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.active) return;
+
+    registration.active.postMessage({ type: 'precache-sheet', sheetId, version, urls });
+}
@@ -0,0 +1,88 @@
+// Retries for failed loads with exponential backoff: the first retry comes after
+// BASE_DELAY, each later one after twice as long (up to MAX_DELAY, with some jitter so
+// many failures don't retry in lockstep), until MAX_ATTEMPTS retries have failed.
+// No Three.js or DOM dependencies.
+export const RETRY = {
+    MAX_ATTEMPTS: 4,
+    BASE_DELAY: 1000,
+    MAX_DELAY: 16000,
+    JITTER: 0.2
+};
+
+// Milliseconds to wait before retry number attempt (0 for the first)
+export function getRetryDelay(attempt, random = Math.random) {
+    const delay = Math.min(RETRY.MAX_DELAY, RETRY.BASE_DELAY * 2 ** attempt);
+    return Math.round(delay * (1 + (random() * 2 - 1) * RETRY.JITTER));
+}
+
+// Tracks failed items by key. callbacks.onRetry(key) loads an item again, reporting back
+// with succeed(key) or fail(key); callbacks.onGiveUp(key) is called once its automatic
+// retries are used up. retry(key) and retryAll() (e.g. when the browser comes back
+// online) start over with a full set of attempts.
+export class RetryQueue {
+    constructor(callbacks = {}) {
+        this.callbacks = callbacks;
+        this.items = new Map();
+    }
+
+    has(key) {
+        return this.items.has(key);
+    }
+
+    // Whether an item's automatic retries are used up
+    hasGivenUp(key) {
+        const item = this.items.get(key);
+        return Boolean(item && item.hasGivenUp);
+    }
+
+    fail(key) {
+        const item = this.items.get(key) || { attempts: 0, timer: null, hasGivenUp: false, isRetrying: false };
+        this.items.set(key, item);
+        item.isRetrying = false;
+
+        if (item.attempts >= RETRY.MAX_ATTEMPTS) {
+            item.hasGivenUp = true;
+            if (this.callbacks.onGiveUp) this.callbacks.onGiveUp(key);
+            return;
+        }
+
+        clearTimeout(item.timer);
+        item.timer = setTimeout(() => {
+            item.timer = null;
+            item.attempts++;
+            item.isRetrying = true;
+            this.callbacks.onRetry(key);
+        }, getRetryDelay(item.attempts));
+    }
+
+    succeed(key) {
+        const item = this.items.get(key);
+        if (!item) return;
+
+        clearTimeout(item.timer);
+        this.items.delete(key);
+    }
+
+    // Try now, with a fresh set of automatic retries should this fail too.
+    // Nothing happens while a retry is already loading.
+    retry(key) {
+        const item = this.items.get(key);
+        if (!item || item.isRetrying) return;
+
+        clearTimeout(item.timer);
+        item.timer = null;
+        item.attempts = 0;
+        item.hasGivenUp = false;
+        item.isRetrying = true;
+        this.callbacks.onRetry(key);
+    }
+
+    retryAll() {
+        [...this.items.keys()].forEach(key => this.retry(key));
+    }
+
+    dispose() {
+        this.items.forEach(item => clearTimeout(item.timer));
+        this.items.clear();
+    }
+}
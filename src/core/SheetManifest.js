@@ -0,0 +1,286 @@
+// Sheet manifests describe the frames of a contact sheet (order, titles, captions,
+// orientation and optional metadata) and optionally its grid layout, so photos can be
+// added or reordered without touching code.
+// The sheet index (images/sheets.json) lists which sheets are available.
+// No Three.js or DOM dependencies, so scripts/generate-manifest.js can share it.
+
+export const MANIFEST_FILENAME = 'manifest.json';
+export const SHEET_INDEX_URL = 'images/sheets.json';
+
+// Where `npm run manifest` looks for thumbnails, relative to the sheet folder
+export const THUMBNAIL_DIRECTORY = 'thumbnails';
+
+const ORIENTATIONS = ['portrait', 'landscape'];
+const FRAME_FITS = ['letterbox', 'rotate'];
+const CAPTION_FIELDS = ['location', 'city', 'camera', 'description'];
+const IMAGE_EXTENSION = /\.(jpe?g|png|webp)$/i;
+
+// Grid options a manifest may override (see GridLayout); sizes are in sheet pixels
+const LAYOUT_COUNTS = ['rows', 'columns'];
+const LAYOUT_SIZES = ['sheetWidth', 'sheetHeight', 'imageWidth', 'imageHeight'];
+const LAYOUT_OFFSETS = ['horizontalMargin', 'verticalMargin', 'firstImageX', 'firstImageY'];
+
+export function getManifestUrl(sheetId) {
+    return `images/${sheetId}/${MANIFEST_FILENAME}`;
+}
+
+// Derive a readable title from a filename when the manifest doesn't provide one
+export function titleFromFilename(filename) {
+    return filename
+        .replace(/\.[^/.]+$/, '') // Remove extension
+        .replace(/-portrait$/i, '') // Remove orientation suffix
+        .replace(/-\d+$/, '') // Remove sequence suffix
+        .trim();
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Check the optional "layout" section, adding any problems to errors
+function validateLayout(layout, errors) {
+    if (!isPlainObject(layout)) {
+        errors.push('layout must be an object');
+        return;
+    }
+
+    Object.keys(layout).forEach(key => {
+        const value = layout[key];
+
+        if (LAYOUT_COUNTS.includes(key)) {
+            if (!Number.isInteger(value) || value <= 0) {
+                errors.push(`layout.${key} must be a positive whole number`);
+            }
+        } else if (LAYOUT_SIZES.includes(key)) {
+            if (typeof value !== 'number' || !(value > 0)) {
+                errors.push(`layout.${key} must be a positive number`);
+            }
+        } else if (LAYOUT_OFFSETS.includes(key)) {
+            if (typeof value !== 'number' || !(value >= 0)) {
+                errors.push(`layout.${key} must be zero or a positive number`);
+            }
+        } else {
+            errors.push(`layout.${key} is not a layout option`);
+        }
+    });
+}
+
+// Validate raw manifest data and return a normalized copy.
+// All problems are collected so a broken manifest can be fixed in one pass.
+export function validateSheetManifest(data, sheetId) {
+    const errors = [];
+
+    if (!isPlainObject(data)) {
+        throw new Error(`Invalid manifest for sheet "${sheetId}": expected a JSON object`);
+    }
+
+    if (data.id !== undefined && data.id !== sheetId) {
+        errors.push(`id "${data.id}" does not match sheet "${sheetId}"`);
+    }
+
+    if (!Array.isArray(data.frames) || data.frames.length === 0) {
+        errors.push('"frames" must be a non-empty array');
+    }
+
+    // How images whose aspect ratio differs from the grid cell are placed
+    if (data.frameFit !== undefined && !FRAME_FITS.includes(data.frameFit)) {
+        errors.push(`frameFit must be one of ${FRAME_FITS.join(', ')}`);
+    }
+
+    if (data.layout !== undefined) {
+        validateLayout(data.layout, errors);
+    }
+
+    if (data.background !== undefined && (typeof data.background !== 'string' || !IMAGE_EXTENSION.test(data.background))) {
+        errors.push('background must be an image filename');
+    }
+
+    const frames = [];
+    const seenFiles = new Set();
+
+    (Array.isArray(data.frames) ? data.frames : []).forEach((entry, index) => {
+        const path = `frames[${index}]`;
+
+        if (!isPlainObject(entry)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+
+        const { file, title, orientation, metadata } = entry;
+
+        if (typeof file !== 'string' || file.trim() === '') {
+            errors.push(`${path}.file must be a non-empty string`);
+            return;
+        }
+
+        if (!IMAGE_EXTENSION.test(file)) {
+            errors.push(`${path}.file "${file}" is not a supported image type`);
+        }
+
+        if (seenFiles.has(file)) {
+            errors.push(`${path}.file "${file}" is listed more than once`);
+        }
+        seenFiles.add(file);
+
+        if (title !== undefined && (typeof title !== 'string' || title.trim() === '')) {
+            errors.push(`${path}.title must be a non-empty string`);
+        }
+
+        if (orientation !== undefined && !ORIENTATIONS.includes(orientation)) {
+            errors.push(`${path}.orientation must be one of ${ORIENTATIONS.join(', ')}`);
+        }
+
+        // Smaller copy shown until the frame is viewed up close, relative to the sheet folder
+        if (entry.thumbnail !== undefined && (typeof entry.thumbnail !== 'string' || !IMAGE_EXTENSION.test(entry.thumbnail))) {
+            errors.push(`${path}.thumbnail must be an image filename`);
+        }
+
+        if (metadata !== undefined && !isPlainObject(metadata)) {
+            errors.push(`${path}.metadata must be an object`);
+        }
+
+        // Caption fields are optional; DetailView hides any that are missing
+        CAPTION_FIELDS.forEach(field => {
+            const value = entry[field];
+            if (value !== undefined && (typeof value !== 'string' || value.trim() === '')) {
+                errors.push(`${path}.${field} must be a non-empty string`);
+            }
+        });
+
+        if (entry.year !== undefined && !Number.isInteger(entry.year)) {
+            errors.push(`${path}.year must be a whole number`);
+        }
+
+        // Pixel dimensions are written by `npm run manifest`
+        ['width', 'height'].forEach(field => {
+            const value = entry[field];
+            if (value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+                errors.push(`${path}.${field} must be a positive whole number`);
+            }
+        });
+
+        frames.push({
+            ...entry,
+            file,
+            title: typeof title === 'string' && title.trim() !== '' ? title.trim() : titleFromFilename(file),
+            orientation: orientation || null,
+            metadata: isPlainObject(metadata) ? metadata : {}
+        });
+    });
+
+    // Optional curated slideshow order, listing frame files
+    if (data.slideshow !== undefined) {
+        if (!Array.isArray(data.slideshow) || data.slideshow.length === 0) {
+            errors.push('slideshow must be a non-empty array of frame files');
+        } else {
+            const seenSlides = new Set();
+
+            data.slideshow.forEach((file, index) => {
+                if (!seenFiles.has(file)) {
+                    errors.push(`slideshow[${index}] "${file}" is not one of the frames`);
+                } else if (seenSlides.has(file)) {
+                    errors.push(`slideshow[${index}] "${file}" is listed more than once`);
+                }
+                seenSlides.add(file);
+            });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid manifest for sheet "${sheetId}":\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return {
+        ...data,
+        id: sheetId,
+        frameFit: data.frameFit || 'letterbox',
+        slideshow: data.slideshow || null,
+        frames
+    };
+}
+
+// A short fingerprint of a validated manifest (32-bit FNV-1a of its JSON). It changes
+// whenever the frames or layout do, so the service worker can version a sheet's cache by it.
+export function getManifestVersion(manifest) {
+    const text = JSON.stringify(manifest);
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+
+    return hash.toString(16).padStart(8, '0');
+}
+
+// Fetch a JSON document, describing failures in terms of what was being loaded
+async function fetchJson(url, label) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new Error(`Unable to fetch ${label.toLowerCase()} ${url}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+        throw new Error(`${label} ${url} could not be loaded (HTTP ${response.status})`);
+    }
+
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new Error(`${label} ${url} is not valid JSON: ${error.message}`);
+    }
+}
+
+// Fetch and validate the manifest for a sheet
+export async function loadSheetManifest(sheetId) {
+    const data = await fetchJson(getManifestUrl(sheetId), 'Sheet manifest');
+    return validateSheetManifest(data, sheetId);
+}
+
+// Validate the list of available sheets and return normalized entries
+export function validateSheetIndex(data) {
+    const errors = [];
+    const sheets = [];
+    const seenIds = new Set();
+
+    if (!isPlainObject(data) || !Array.isArray(data.sheets) || data.sheets.length === 0) {
+        throw new Error(`Invalid sheet index ${SHEET_INDEX_URL}: "sheets" must be a non-empty array`);
+    }
+
+    data.sheets.forEach((entry, index) => {
+        const path = `sheets[${index}]`;
+
+        if (!isPlainObject(entry) || typeof entry.id !== 'string' || !/^[\w-]+$/.test(entry.id)) {
+            errors.push(`${path}.id must be a string of letters, numbers, "_" or "-"`);
+            return;
+        }
+
+        if (seenIds.has(entry.id)) {
+            errors.push(`${path}.id "${entry.id}" is listed more than once`);
+        }
+        seenIds.add(entry.id);
+
+        if (entry.title !== undefined && (typeof entry.title !== 'string' || entry.title.trim() === '')) {
+            errors.push(`${path}.title must be a non-empty string`);
+        }
+
+        sheets.push({
+            id: entry.id,
+            title: typeof entry.title === 'string' && entry.title.trim() !== '' ? entry.title.trim() : entry.id
+        });
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid sheet index ${SHEET_INDEX_URL}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return sheets;
+}
+
+// Fetch and validate the list of available sheets
+export async function loadSheetIndex() {
+    const data = await fetchJson(SHEET_INDEX_URL, 'Sheet index');
+    return validateSheetIndex(data);
+}
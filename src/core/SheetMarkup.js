@@ -0,0 +1,178 @@
+// Grease-pencil markup for a contact sheet: freehand strokes, circles and X marks,
+// stored in sheet pixels so they stay on their frames at any zoom level.
+// Kept per sheet in localStorage and exchanged as JSON files:
+//   { "version": 1, "sheetId": "sheet_one", "marks": [{ "tool": "circle", "points": [[x, y], [x, y]] }] }
+// Pen marks list every point of the stroke; circles and X marks give two opposite corners of their box.
+// No Three.js or DOM dependencies beyond the optional storage object.
+
+import { getLocalStorage } from './BrowserStorage.js';
+
+export const MARKUP_VERSION = 1;
+export const MARKUP_TOOLS = ['pen', 'circle', 'cross'];
+
+const STORAGE_PREFIX = 'contact-sheet-markup:';
+
+// Undo steps kept per sheet
+const HISTORY_LIMIT = 100;
+
+export function getMarkupStorageKey(sheetId) {
+    return `${STORAGE_PREFIX}${sheetId}`;
+}
+
+function isPoint(value) {
+    return Array.isArray(value) && value.length === 2 && value.every(Number.isFinite);
+}
+
+// Check exported markup and return its marks, throwing an Error that lists every problem
+export function validateMarkup(data, sheetId) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`Invalid markup for sheet "${sheetId}": expected a JSON object`);
+    }
+
+    const errors = [];
+
+    if (data.version !== MARKUP_VERSION) {
+        errors.push(`version must be ${MARKUP_VERSION}`);
+    }
+
+    if (data.sheetId !== undefined && data.sheetId !== sheetId) {
+        errors.push(`markup is for sheet "${data.sheetId}"`);
+    }
+
+    if (!Array.isArray(data.marks)) {
+        errors.push('marks must be an array');
+    } else {
+        data.marks.forEach((mark, index) => {
+            if (!mark || !MARKUP_TOOLS.includes(mark.tool)) {
+                errors.push(`marks[${index}].tool must be one of ${MARKUP_TOOLS.join(', ')}`);
+                return;
+            }
+
+            const minPoints = mark.tool === 'pen' ? 1 : 2;
+            if (!Array.isArray(mark.points) || mark.points.length < minPoints || !mark.points.every(isPoint)) {
+                errors.push(`marks[${index}].points must be a list of at least ${minPoints} [x, y] pairs`);
+            } else if (mark.tool !== 'pen' && mark.points.length !== 2) {
+                errors.push(`marks[${index}].points must be the two corners of the ${mark.tool}`);
+            }
+        });
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid markup for sheet "${sheetId}":\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return data.marks.map(mark => ({ tool: mark.tool, points: mark.points.map(([x, y]) => [x, y]) }));
+}
+
+// The marks on one sheet, with undo/redo. Every change is saved to storage and
+// reported through onChange(marks).
+export class SheetMarkup {
+    constructor(sheetId, callbacks = {}, storage = getLocalStorage()) {
+        this.sheetId = sheetId;
+        this.callbacks = callbacks;
+        this.storage = storage;
+        this.marks = [];
+        this.undoStack = [];
+        this.redoStack = [];
+
+        this.load();
+    }
+
+    // Saved markup that can't be read is dropped with a warning rather than breaking the sheet
+    load() {
+        if (!this.storage) return;
+
+        let saved = null;
+        try {
+            saved = this.storage.getItem(getMarkupStorageKey(this.sheetId));
+            if (saved) {
+                this.marks = validateMarkup(JSON.parse(saved), this.sheetId);
+            }
+        } catch (error) {
+            console.warn(`Ignoring saved markup for sheet "${this.sheetId}":`, error);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            if (this.marks.length > 0) {
+                this.storage.setItem(getMarkupStorageKey(this.sheetId), this.toJSON());
+            } else {
+                this.storage.removeItem(getMarkupStorageKey(this.sheetId));
+            }
+        } catch (error) {
+            // Storage full or disabled: the marks stay for this visit
+            console.warn(`Unable to save markup for sheet "${this.sheetId}":`, error);
+        }
+    }
+
+    // Replace the marks as one undoable step
+    setMarks(marks) {
+        this.undoStack.push(this.marks);
+        if (this.undoStack.length > HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.marks = marks;
+        this.commit();
+    }
+
+    add(mark) {
+        this.setMarks([...this.marks, mark]);
+    }
+
+    clear() {
+        if (this.marks.length === 0) return;
+        this.setMarks([]);
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        if (!this.canUndo()) return;
+
+        this.redoStack.push(this.marks);
+        this.marks = this.undoStack.pop();
+        this.commit();
+    }
+
+    redo() {
+        if (!this.canRedo()) return;
+
+        this.undoStack.push(this.marks);
+        this.marks = this.redoStack.pop();
+        this.commit();
+    }
+
+    commit() {
+        this.save();
+
+        if (this.callbacks.onChange) {
+            this.callbacks.onChange(this.marks);
+        }
+    }
+
+    toJSON() {
+        return JSON.stringify({ version: MARKUP_VERSION, sheetId: this.sheetId, marks: this.marks });
+    }
+
+    // Replace the marks with exported JSON text; throws if it isn't valid markup for this sheet
+    import(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Markup for sheet "${this.sheetId}" is not valid JSON: ${error.message}`);
+        }
+
+        this.setMarks(validateMarkup(data, this.sheetId));
+    }
+}
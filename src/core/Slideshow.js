@@ -0,0 +1,168 @@
+// Slideshow timing and order: steps through a sequence of frames at a fixed interval.
+// Playback is paused by the user (pause(), or any other input) and held by the page
+// (hold(reason), e.g. while the tab is hidden); a held slideshow carries on by itself
+// once every hold is released. No Three.js or DOM dependencies.
+
+// Intervals offered by the speed control, in milliseconds
+export const SLIDESHOW_SPEEDS = [
+    { id: 'slow', name: 'Slow', interval: 8000 },
+    { id: 'normal', name: 'Normal', interval: 5000 },
+    { id: 'fast', name: 'Fast', interval: 3000 }
+];
+
+export const DEFAULT_SLIDESHOW_INTERVAL = 5000;
+
+export class Slideshow {
+    // callbacks.onStep(item) shows a frame, callbacks.onChange(state) reports play/pause,
+    // callbacks.canShow(item) lets frames be skipped (e.g. by the rating filter)
+    constructor(callbacks = {}, interval = DEFAULT_SLIDESHOW_INTERVAL) {
+        this.callbacks = callbacks;
+        this.interval = interval;
+        this.sequence = [];
+        this.position = -1;
+        this.isPlaying = false;
+        this.holds = new Set();
+        this.timer = null;
+    }
+
+    // Replace the frames to step through, keeping the position on item if it is in them
+    setSequence(sequence, item = null) {
+        this.sequence = sequence;
+        this.position = item ? this.indexOf(item) : -1;
+        this.notifyChange();
+    }
+
+    indexOf(item) {
+        return this.sequence.findIndex(entry => entry.row === item.row && entry.col === item.col);
+    }
+
+    // Start from item (or the first frame), showing it straight away;
+    // the next frame follows after a full interval
+    play(item = null) {
+        const index = item ? this.indexOf(item) : -1;
+        this.position = index >= 0 ? index : this.findShowable(-1, 1);
+        if (this.position < 0) return;
+
+        this.isPlaying = true;
+        this.callbacks.onStep(this.sequence[this.position]);
+        this.schedule();
+        this.notifyChange();
+    }
+
+    pause() {
+        if (!this.isPlaying) return;
+
+        this.isPlaying = false;
+        this.clearTimer();
+        this.notifyChange();
+    }
+
+    next() {
+        this.step(1);
+    }
+
+    prev() {
+        this.step(-1);
+    }
+
+    // Show the next showable frame in direction (1 or -1), wrapping at the ends.
+    // While playing, the following step waits a full interval from now.
+    step(direction) {
+        const position = this.findShowable(this.position, direction);
+        if (position < 0) return;
+
+        this.position = position;
+        this.callbacks.onStep(this.sequence[position]);
+
+        if (this.isPlaying) {
+            this.schedule();
+        }
+        this.notifyChange();
+    }
+
+    findShowable(from, direction) {
+        const count = this.sequence.length;
+
+        for (let i = 1; i <= count; i++) {
+            const position = ((from + direction * i) % count + count) % count;
+            if (!this.callbacks.canShow || this.callbacks.canShow(this.sequence[position])) {
+                return position;
+            }
+        }
+
+        return -1;
+    }
+
+    setInterval(interval) {
+        this.interval = interval;
+
+        if (this.isPlaying) {
+            this.schedule();
+        }
+        this.notifyChange();
+    }
+
+    // Stop the clock until release(reason); several reasons can hold at once
+    hold(reason) {
+        if (this.holds.has(reason)) return;
+
+        this.holds.add(reason);
+        this.clearTimer();
+        this.notifyChange();
+    }
+
+    release(reason) {
+        if (!this.holds.delete(reason)) return;
+
+        if (this.isPlaying) {
+            this.schedule();
+        }
+        this.notifyChange();
+    }
+
+    setHeld(reason, isHeld) {
+        if (isHeld) {
+            this.hold(reason);
+        } else {
+            this.release(reason);
+        }
+    }
+
+    // Restart the countdown to the next frame, unless something is holding the slideshow
+    schedule() {
+        this.clearTimer();
+        if (!this.isPlaying || this.holds.size > 0) return;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.next();
+        }, this.interval);
+    }
+
+    clearTimer() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    getState() {
+        return {
+            isPlaying: this.isPlaying,
+            isHeld: this.holds.size > 0,
+            interval: this.interval,
+            position: this.position,
+            length: this.sequence.length
+        };
+    }
+
+    notifyChange() {
+        if (this.callbacks.onChange) {
+            this.callbacks.onChange(this.getState());
+        }
+    }
+
+    dispose() {
+        this.clearTimer();
+        this.isPlaying = false;
+        this.holds.clear();
+    }
+}
@@ -0,0 +1,159 @@
+import * as THREE from 'three';
+
+// GPU memory budgets in bytes. Mobile GPUs share a much smaller pool with the page.
+export const TEXTURE_BUDGET = {
+    DESKTOP: 256 * 1024 * 1024,
+    MOBILE: 96 * 1024 * 1024
+};
+
+// Uncompressed RGBA; a full mipmap chain adds another third
+const BYTES_PER_PIXEL = 4;
+const MIPMAP_OVERHEAD = 4 / 3;
+
+// Approximate GPU memory used by a texture once uploaded
+export function estimateTextureBytes(texture) {
+    const image = texture.image;
+    if (!image) return 0;
+
+    const width = image.naturalWidth || image.videoWidth || image.width || 0;
+    const height = image.naturalHeight || image.videoHeight || image.height || 0;
+    const bytes = width * height * BYTES_PER_PIXEL;
+
+    const hasMipmaps = texture.generateMipmaps &&
+        texture.minFilter !== THREE.NearestFilter && texture.minFilter !== THREE.LinearFilter;
+
+    return Math.round(hasMipmaps ? bytes * MIPMAP_OVERHEAD : bytes);
+}
+
+// Textures by URL with a byte budget. Once over budget, the least recently visible
+// textures are disposed and dropped (callbacks.onEvict(url, texture) tells their owner,
+// which can load them again when they're needed). Pinned textures, the ones on screen,
+// are never evicted; touch() marks a texture as just seen.
+export class TextureCache {
+    constructor(callbacks = {}, budget = TEXTURE_BUDGET.DESKTOP) {
+        this.callbacks = callbacks;
+        this.budget = budget;
+        this.entries = new Map();
+        this.bytes = 0;
+        this.peakBytes = 0;
+        this.evictions = 0;
+        this.clock = 0;
+    }
+
+    has(url) {
+        return this.entries.has(url);
+    }
+
+    get(url) {
+        const entry = this.entries.get(url);
+        return entry ? entry.texture : undefined;
+    }
+
+    // Add a texture and evict others to make room; the new one is kept even if it
+    // doesn't fit, so the caller can still show it
+    set(url, texture, bytes = estimateTextureBytes(texture)) {
+        this.delete(url);
+
+        this.entries.set(url, { texture, bytes, pins: 0, lastVisible: ++this.clock });
+        this.bytes += bytes;
+        this.peakBytes = Math.max(this.peakBytes, this.bytes);
+
+        this.enforceBudget(url);
+    }
+
+    // Drop a texture without disposing it
+    delete(url) {
+        const entry = this.entries.get(url);
+        if (!entry) return false;
+
+        this.bytes -= entry.bytes;
+        this.entries.delete(url);
+        return true;
+    }
+
+    touch(url) {
+        const entry = this.entries.get(url);
+        if (entry) {
+            entry.lastVisible = ++this.clock;
+        }
+    }
+
+    // Pins nest: a texture stays pinned until every pin is released
+    pin(url) {
+        const entry = this.entries.get(url);
+        if (!entry) return;
+
+        entry.pins++;
+        entry.lastVisible = ++this.clock;
+    }
+
+    unpin(url) {
+        const entry = this.entries.get(url);
+        if (!entry || entry.pins === 0) return;
+
+        entry.pins--;
+        entry.lastVisible = ++this.clock;
+
+        if (entry.pins === 0) {
+            this.enforceBudget();
+        }
+    }
+
+    setBudget(budget) {
+        this.budget = budget;
+        this.enforceBudget();
+    }
+
+    // Evict unpinned textures, least recently visible first, until within budget
+    enforceBudget(keepUrl = null) {
+        if (this.bytes <= this.budget) return;
+
+        const candidates = [...this.entries]
+            .filter(([url, entry]) => entry.pins === 0 && url !== keepUrl)
+            .sort((a, b) => a[1].lastVisible - b[1].lastVisible);
+
+        for (const [url, entry] of candidates) {
+            if (this.bytes <= this.budget) break;
+
+            this.delete(url);
+            entry.texture.dispose();
+            this.evictions++;
+
+            if (this.callbacks.onEvict) {
+                this.callbacks.onEvict(url, entry.texture);
+            }
+        }
+    }
+
+    forEach(callback) {
+        this.entries.forEach((entry, url) => callback(entry.texture, url));
+    }
+
+    // Drop every texture without disposing them
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+    }
+
+    // Usage for debugging, shown by the ?debug overlay (TextureStatsOverlay)
+    getStats() {
+        let pinnedCount = 0;
+        let pinnedBytes = 0;
+        this.entries.forEach(entry => {
+            if (entry.pins > 0) {
+                pinnedCount++;
+                pinnedBytes += entry.bytes;
+            }
+        });
+
+        return {
+            count: this.entries.size,
+            bytes: this.bytes,
+            budget: this.budget,
+            peakBytes: this.peakBytes,
+            pinnedCount,
+            pinnedBytes,
+            evictions: this.evictions
+        };
+    }
+}
@@ -1,5 +1,14 @@
 import * as THREE from 'three';
 import { ContactSheet } from './components/ContactSheet.js';
+import { SheetNavigation } from './components/SheetNavigation.js';
+import { SheetRouter } from './components/SheetRouter.js';
+import { LoadingScreen } from './components/LoadingScreen.js';
+import { OfflineIndicator } from './components/OfflineIndicator.js';
+import { TextureStatsOverlay, isDebugEnabled } from './components/TextureStatsOverlay.js';
+import { FrameLookToggle } from './components/FrameLookToggle.js';
+import { FRAME_LOOKS, loadFrameLook, saveFrameLook } from './core/FrameLook.js';
+import { loadSheetIndex, getManifestVersion } from './core/SheetManifest.js';
+import { registerServiceWorker, precacheSheet } from './core/OfflineCache.js';
 
 // Create scene with optimization flags
 const scene = new THREE.Scene();
@@ -41,6 +50,21 @@ renderer.outputColorSpace = THREE.SRGBColorSpace;
 
 document.body.appendChild(renderer.domElement);
 
+// The frames' look (FilmMaterial), chosen with the nav bar toggle and kept across sheet
+// switches and visits
+let frameLook = loadFrameLook();
+let frameLookToggle;
+
+// Drop to the plain look if a shader fails to compile (e.g. the film shader on a weak GPU),
+// and remember it so later visits don't fail again; the toggle can still turn film back on.
+// The switch waits until the render that hit the error has finished.
+renderer.debug.onShaderError = (gl, program) => {
+    console.error('Shader error:', gl.getProgramInfoLog(program));
+    
+    if (frameLook === FRAME_LOOKS.PLAIN) return;
+    setTimeout(() => setFrameLook(FRAME_LOOKS.PLAIN, false));
+};
+
 // Configure canvas for proper touch handling
 const canvas = renderer.domElement;
 canvas.style.touchAction = 'none';
@@ -100,18 +124,150 @@ function showErrorMessage(message) {
     document.body.appendChild(errorContainer);
 }
 
-// Initialize contact sheet
+const DEFAULT_SHEET_ID = 'sheet_one';
+const LOAD_ERROR_MESSAGE = 'Unable to load content. This may be due to a connection issue or browser compatibility problem. Please try again or use a different browser.';
+
+scene.renderer = renderer;
+
 let contactSheet;
-try {
-    contactSheet = new ContactSheet(scene, camera, 'sheet_one');
-    scene.renderer = renderer;
-    contactSheet.init().catch(error => {
+let sheetNavigation;
+let sheetRouter;
+let sheets = [];
+
+// Shown while a sheet loads, driven by its onLoadProgress
+const loadingScreen = new LoadingScreen(document.body, document.title);
+
+// Visited sheets stay browsable offline (sw.js); the indicator says when that's happening
+const offlineIndicator = new OfflineIndicator(document.body);
+registerServiceWorker();
+
+// Return the camera to the full-sheet view, cancelling any zoom in progress
+function resetCamera() {
+    gsap.killTweensOf(camera);
+    gsap.killTweensOf(camera.position);
+    
+    const aspect = window.innerWidth / window.innerHeight;
+    const frustumSize = aspect > 1 ? 4 : 4 / aspect;
+    const halfHeight = frustumSize / 2;
+    const halfWidth = frustumSize * aspect / 2;
+    
+    camera.position.x = 0;
+    camera.position.y = 0;
+    camera.left = -halfWidth;
+    camera.right = halfWidth;
+    camera.top = halfHeight;
+    camera.bottom = -halfHeight;
+    camera.updateProjectionMatrix();
+}
+
+// Replace the active contact sheet without reloading the page.
+// Works from any state: disposing the old sheet also tears down its detail view.
+async function switchSheet(sheetId) {
+    if (contactSheet && contactSheet.sheetId === sheetId) return;
+    
+    if (contactSheet) {
+        contactSheet.dispose();
+        contactSheet = null;
+    }
+    
+    resetCamera();
+    
+    const sheet = sheets.find(entry => entry.id === sheetId);
+    loadingScreen.show(sheet ? sheet.title : sheetId);
+    
+    if (sheetNavigation) {
+        sheetNavigation.setActive(sheetId);
+        sheetNavigation.setBusy(true);
+    }
+    
+    let nextSheet;
+    try {
+        nextSheet = new ContactSheet(scene, camera, sheetId, null, {
+            // Mirror every settled view into the URL
+            onViewChange: (view, options) => sheetRouter && sheetRouter.update(view, options),
+            onLoadProgress: (progress) => loadingScreen.update(progress)
+        });
+        nextSheet.setFrameLook(frameLook, false);
+        contactSheet = nextSheet;
+        await nextSheet.init();
+        
+        if (!nextSheet.isDisposed && nextSheet.isInitialized) {
+            precacheSheet(sheetId, getManifestVersion(nextSheet.manifest), nextSheet.getAssetUrls())
+                .catch(error => console.error('Error precaching sheet:', error));
+        }
+    } catch (error) {
+        // A newer switch superseded this one; its failure no longer matters
+        if (nextSheet && nextSheet.isDisposed) return;
+        
         console.error('Error initializing contact sheet:', error);
-        showErrorMessage('Unable to load content. This may be due to a connection issue or browser compatibility problem. Please try again or use a different browser.');
+        loadingScreen.hide();
+        showErrorMessage(LOAD_ERROR_MESSAGE);
+    } finally {
+        if (sheetNavigation && contactSheet === nextSheet) {
+            sheetNavigation.setBusy(false);
+        }
+    }
+}
+
+// Show a route from the URL (or the first sheet when there is none), animating to its frame
+async function showRoute(route) {
+    const sheet = (route && sheets.find(entry => entry.id === route.sheetId)) || sheets[0];
+    
+    await switchSheet(sheet.id);
+    
+    // The sheet may have failed to load or been replaced while loading
+    if (!contactSheet || contactSheet.sheetId !== sheet.id || contactSheet.isDisposed) return;
+    
+    if (route && route.sheetId === sheet.id) {
+        await contactSheet.showView(route);
+    } else {
+        await contactSheet.showView({ image: null, detail: false });
+    }
+}
+
+// Load the list of sheets, build the navigation and show the sheet from the URL
+async function initSheets() {
+    try {
+        sheets = await loadSheetIndex();
+    } catch (error) {
+        // Fall back to the default sheet so the site still works without an index
+        console.error('Error loading sheet index:', error);
+        sheets = [{ id: DEFAULT_SHEET_ID, title: DEFAULT_SHEET_ID }];
+    }
+    
+    sheetNavigation = new SheetNavigation(document.getElementById('nav'), sheets, {
+        onSelect: switchSheet
     });
-} catch (error) {
-    console.error('Error creating contact sheet:', error);
-    showErrorMessage('Unable to load content. This may be due to a connection issue or browser compatibility problem. Please try again or use a different browser.');
+    
+    frameLookToggle = new FrameLookToggle(document.getElementById('nav'), frameLook, {
+        onChange: (look) => setFrameLook(look)
+    });
+    
+    sheetRouter = new SheetRouter({
+        onNavigate: showRoute
+    });
+    
+    await sheetRouter.start();
+}
+
+initSheets();
+
+// Debugging aid: ?debug in the URL shows the current sheet's texture memory
+const textureStatsOverlay = isDebugEnabled()
+    ? new TextureStatsOverlay(document.body, () => contactSheet ? contactSheet.getTextureStats() : null)
+    : null;
+
+// Switch between the film and plain looks and remember the choice
+function setFrameLook(look, animate = true) {
+    frameLook = look;
+    saveFrameLook(look);
+    
+    if (frameLookToggle) {
+        frameLookToggle.setLook(look);
+    }
+    if (contactSheet) {
+        contactSheet.setFrameLook(look, animate);
+    }
 }
 
 // Optimize resize handler with throttling
@@ -162,8 +318,12 @@ function animate(timestamp) {
     // Update last frame time, accounting for the frame interval
     lastFrameTime = timestamp - (elapsed % frameInterval);
     
-    // Render the scene
+    // Render the scene, then anything the sheet draws over it (e.g. the loupe)
     renderer.render(scene, camera);
+    
+    if (contactSheet) {
+        contactSheet.renderOverlays(renderer);
+    }
 }
 
 // Start animation loop
@@ -196,6 +356,25 @@ window.addEventListener('beforeunload', () => {
         contactSheet.dispose();
     }
     
+    if (sheetNavigation) {
+        sheetNavigation.dispose();
+    }
+    
+    if (frameLookToggle) {
+        frameLookToggle.dispose();
+    }
+    
+    if (sheetRouter) {
+        sheetRouter.dispose();
+    }
+    
+    loadingScreen.dispose();
+    offlineIndicator.dispose();
+    
+    if (textureStatsOverlay) {
+        textureStatsOverlay.dispose();
+    }
+    
     // Remove event listeners
     document.removeEventListener('visibilitychange', onVisibilityChange);
     window.removeEventListener('resize', throttledResize);
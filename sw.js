@@ -0,0 +1,221 @@
+// Service worker: lets visited sheets be browsed offline.
+// - The app shell is precached on install: index.html, every module it loads, the sheet
+//   index and the Three.js/GSAP/Hammer files. SHELL_URLS and SHELL_VERSION are written by
+//   npm run shell, so a change to any of them installs a new worker; our own files are
+//   also refreshed whenever the network is available.
+// - The page asks for each sheet it shows to be precached ("precache-sheet" message) into
+//   a cache named after the sheet and its manifest version, replacing older versions.
+// - Cached images are served stale-while-revalidate; everything else from our origin
+//   (pages, modules, manifests, the sheet index) network-first with the cache as fallback.
+
+// Generated by npm run shell; do not edit by hand
+const SHELL_VERSION = '9db50221da06';
+const SHELL_URLS = [
+    './',
+    'index.html',
+    'src/styles/main.css',
+    'src/main.js',
+    'src/components/ContactSheet.js',
+    'src/components/SheetNavigation.js',
+    'src/components/SheetRouter.js',
+    'src/components/LoadingScreen.js',
+    'src/components/OfflineIndicator.js',
+    'src/components/TextureStatsOverlay.js',
+    'src/components/FrameLookToggle.js',
+    'src/core/FrameLook.js',
+    'src/core/SheetManifest.js',
+    'src/core/OfflineCache.js',
+    'src/components/GridLayout.js',
+    'src/components/SheetInteraction.js',
+    'src/components/ImageLoader.js',
+    'src/components/SheetAnimation.js',
+    'src/components/ResourceManagement.js',
+    'src/components/GestureManager.js',
+    'src/components/KeyboardManager.js',
+    'src/components/SheetAccessibility.js',
+    'src/components/SheetLoupe.js',
+    'src/components/SheetMarkupLayer.js',
+    'src/components/MarkupToolbar.js',
+    'src/components/FrameBadges.js',
+    'src/components/RatingFilter.js',
+    'src/components/SlideshowControls.js',
+    'src/components/FrameTextureManager.js',
+    'src/components/SheetFrames.js',
+    'src/components/FilmMaterial.js',
+    'src/components/SheetUtils.js',
+    'src/components/DetailView.js',
+    'src/core/MotionPreference.js',
+    'src/core/SheetMarkup.js',
+    'src/core/FrameRatings.js',
+    'src/core/Slideshow.js',
+    'src/core/TextureCache.js',
+    'src/core/AssetLoader.js',
+    'src/core/RetryQueue.js',
+    'src/core/BrowserStorage.js',
+    'src/core/JpegMetadata.js',
+    'src/components/FrameAtlas.js',
+    'images/sheets.json',
+    'images/contact-sheet-placeholder.jpg',
+    'https://unpkg.com/es-module-shims@1.8.0/dist/es-module-shims.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/gsap/3.12.5/gsap.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/hammer.js/2.0.8/hammer.min.js',
+    'https://cdn.jsdelivr.net/npm/three@0.171.0/build/three.module.js',
+    'https://cdn.jsdelivr.net/npm/three@0.171.0/build/three.core.js'
+];
+// End of generated shell list
+
+const SHELL_CACHE = `shell-${SHELL_VERSION}`;
+const SHEET_CACHE_PREFIX = 'sheet-';
+
+const IMAGE_PATH = /\.(jpe?g|png|webp)$/i;
+
+// Sheet files live under images/<sheetId>/, relative to the worker's scope
+const SHEET_PATH = /^images\/([^/]+)\//;
+
+// Sheet cache versions are getManifestVersion() fingerprints
+const SHEET_VERSION = /^[0-9a-f]+$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop shell caches from earlier versions; sheet caches are replaced per sheet
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name !== SHELL_CACHE && !name.startsWith(SHEET_CACHE_PREFIX))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    if (!message || message.type !== 'precache-sheet') return;
+
+    event.waitUntil(
+        precacheSheet(message.sheetId, message.version, message.urls).then(result => {
+            if (event.source) {
+                event.source.postMessage({ type: 'sheet-precached', sheetId: message.sheetId, ...result });
+            }
+        })
+    );
+});
+
+function getSheetCacheName(sheetId, version) {
+    return `${SHEET_CACHE_PREFIX}${sheetId}-${version}`;
+}
+
+// Whether a cache holds a version of the given sheet (and not of one whose id merely
+// starts the same way)
+function isSheetCache(name, sheetId) {
+    const prefix = `${SHEET_CACHE_PREFIX}${sheetId}-`;
+    return name.startsWith(prefix) && SHEET_VERSION.test(name.slice(prefix.length));
+}
+
+// Cache every asset of a sheet, then delete the caches of its earlier versions.
+// Assets that fail are left out and picked up by later visits.
+async function precacheSheet(sheetId, version, urls) {
+    const cacheName = getSheetCacheName(sheetId, version);
+    const cache = await caches.open(cacheName);
+
+    const results = await Promise.all(urls.map(async url => {
+        if (await cache.match(url)) return true;
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) return false;
+
+            await cache.put(url, response);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }));
+
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => isSheetCache(name, sheetId) && name !== cacheName)
+        .map(name => caches.delete(name)));
+
+    return {
+        version,
+        cached: results.filter(Boolean).length,
+        failed: results.filter(result => !result).length
+    };
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const isSameOrigin = url.origin === self.location.origin;
+
+    if (request.destination === 'image' || (isSameOrigin && IMAGE_PATH.test(url.pathname))) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (isSameOrigin) {
+        event.respondWith(networkFirst(request));
+    } else if (SHELL_URLS.includes(request.url)) {
+        // Versioned CDN modules never change
+        event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+    }
+});
+
+// Answer from the cache straight away and refresh that copy in the background. Images
+// no sheet has precached just go to the network, so the caches only hold visited sheets.
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cached = await caches.match(request, { ignoreVary: true });
+    if (!cached) return fetch(request);
+
+    event.waitUntil(fetch(request)
+        .then(async response => {
+            const cacheName = await getCacheNameFor(request);
+            if (response.ok && cacheName) {
+                const cache = await caches.open(cacheName);
+                await cache.put(request, response);
+            }
+        })
+        .catch(() => {
+            // Offline: the cached copy will do
+        }));
+
+    return cached;
+}
+
+// Try the network, keeping the cached copy up to date, and fall back to the cache offline
+function networkFirst(request) {
+    return fetch(request)
+        .then(async response => {
+            if (response.ok) {
+                const cache = await caches.open(await getCacheNameFor(request) || SHELL_CACHE);
+                await cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => caches.match(request, { ignoreVary: true, ignoreSearch: request.mode === 'navigate' }).then(cached => {
+            if (cached) return cached;
+            throw new Error(`${request.url} is not available offline`);
+        }));
+}
+
+// The cache a request belongs in, found from its URL: the cache of its sheet for files
+// under images/<sheetId>/ (null before the sheet is precached), otherwise the shell's
+async function getCacheNameFor(request) {
+    const path = request.url.startsWith(self.registration.scope)
+        ? request.url.slice(self.registration.scope.length)
+        : '';
+    const match = path.match(SHEET_PATH);
+    if (!match) return SHELL_CACHE;
+
+    const sheetId = decodeURIComponent(match[1]);
+    const names = await caches.keys();
+
+    return names.find(name => isSheetCache(name, sheetId)) || null;
+}